@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 
-import { existsSync, mkdirSync, readFileSync, writeFileSync, copyFileSync } from 'fs';
-import { join, dirname } from 'path';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, copyFileSync, statSync } from 'fs';
+import { join, dirname, resolve } from 'path';
 import { fileURLToPath } from 'url';
 import { execSync } from 'child_process';
 
@@ -26,12 +26,20 @@ Usage: bronco-browser <command>
 Commands:
   init      Initialize Bronco Browser in current directory
   serve     Start the MCP server (used by Claude)
+  export    Export a saved recording as a Playwright test, Puppeteer script or bronco-tests markdown test
+              bronco-browser export <name> [--format playwright|puppeteer|markdown] [--out <file>] [--strict]
+              Prints to stdout unless --out is given; a directory gets a name like checkout.spec.js
+              Steps that can't be exported are listed on stderr; --strict fails instead of writing the test
   help      Show this help message
 
 Examples:
   cd my-project
   npx bronco-browser init
 
+  npx bronco-browser export "Checkout" --out tests/checkout.spec.js
+  npx bronco-browser export "Checkout" --format puppeteer > checkout.mjs
+  npx bronco-browser export "Checkout" --format markdown --out bronco-tests/
+
   # Then in Claude Code:
   /bronco-run-tests
 `);
@@ -270,6 +278,71 @@ Save this as END_TIME. Calculate duration: \`END_TIME - START_TIME\` seconds.
   console.log('');
 }
 
+async function exportCommand(args) {
+  // Loaded here so other commands don't need the server modules
+  const { listRecordingsFromDisk, getRecordingFromDisk } = await import(join(__dirname, 'server', 'recordings.js'));
+  const { exportRecording, exportFilename, EXPORT_FORMATS } = await import(join(__dirname, 'server', 'export.js'));
+
+  let name = null;
+  let format = 'playwright';
+  let out = null;
+  let strict = false;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--strict') {
+      strict = true;
+    } else if (args[i] === '--format') {
+      format = args[++i];
+    } else if (args[i] === '--out' || args[i] === '-o') {
+      out = args[++i];
+    } else if (name === null) {
+      name = args[i];
+    }
+  }
+
+  const available = Object.keys(listRecordingsFromDisk());
+  if (!name) {
+    console.error(colors.red('Usage: bronco-browser export <name> [--format playwright|puppeteer|markdown] [--out <file>] [--strict]'));
+    console.error(available.length ? `Saved recordings: ${available.join(', ')}` : 'No saved recordings yet.');
+    process.exit(1);
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    console.error(colors.red(`Unknown format: ${format}. Available: ${EXPORT_FORMATS.join(', ')}`));
+    process.exit(1);
+  }
+
+  let code, skipped;
+  try {
+    ({ code, skipped } = exportRecording(getRecordingFromDisk(name), format));
+  } catch (err) {
+    console.error(colors.red(err.message));
+    if (available.length) console.error(`Saved recordings: ${available.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (skipped.length) {
+    console.error(colors.yellow(`${skipped.length} step(s) of "${name}" could not be exported:`));
+    for (const skip of skipped) {
+      console.error(`  step ${skip.index + 1} (${skip.action}${skip.selector ? ` on ${skip.selector}` : ''}): ${skip.reason}`);
+    }
+    if (strict) {
+      console.error(colors.red('Not exported (--strict).'));
+      process.exit(1);
+    }
+  }
+
+  if (!out) {
+    process.stdout.write(code);
+    return;
+  }
+  let target = resolve(out);
+  if (out.endsWith('/') || (existsSync(target) && statSync(target).isDirectory())) {
+    target = join(target, exportFilename(name, format));
+  }
+  mkdirSync(dirname(target), { recursive: true });
+  writeFileSync(target, code);
+  console.error(colors.green('✓') + ` Exported "${name}" to ${target}`);
+}
+
 async function startServer() {
   // Dynamic import the server
   const serverPath = join(__dirname, 'server', 'index.js');
@@ -286,6 +359,9 @@ switch (command) {
   case 'serve':
     startServer();
     break;
+  case 'export':
+    exportCommand(process.argv.slice(3));
+    break;
   case 'help':
   case '--help':
   case '-h':
@@ -16,19 +16,38 @@ let sessionEnabled = false;
 // Recording state
 let isRecording = false;
 let currentRecording = []; // Actions being recorded
-let recordingTabId = null; // Tab being recorded
+let recordingTabId = null; // Tab the latest action was recorded in
+const recordingTabs = new Set(); // Tabs being recorded: the starting tab and tabs it opened
 let lastSaved = true; // Whether current recording was saved
 
+// Input mode: 'script' (synthetic DOM events) or 'cdp' (trusted events via chrome.debugger)
+let inputMode = 'script';
+
+// Requests in progress: request id -> { controller: AbortController, tabId }, so the server can cancel them
+const activeRequests = new Map();
+
+// Console capture over CDP: tabId -> { entries, nextSeq, dropped, contexts, frameUrls, unsubscribe, ready }.
+// contexts: the pages' own execution contexts (id -> CDP frame id), so content script logs are left out.
+// Survives navigations; cleared when the tab closes.
+const consoleLogs = new Map();
+const MAX_CONSOLE_ENTRIES = 1000;
+const MAX_CONSOLE_MESSAGE_LENGTH = 10000;
+
+// Snapshot refs: tabId -> { refs: Set of refs from the latest snapshot of each frame, takenAt }.
+// Refs from child frames are prefixed with their frame: "f12e5" is ref e5 in frame 12.
+const snapshotRefs = new Map();
+
 // Load session state from storage
 async function loadSessionState() {
-  const result = await chrome.storage.local.get('sessionEnabled');
+  const result = await chrome.storage.local.get(['sessionEnabled', 'inputMode']);
   sessionEnabled = result.sessionEnabled || false;
+  inputMode = result.inputMode || 'script';
   await updateIcon();
 }
 
 // Save session state
 async function saveSessionState() {
-  await chrome.storage.local.set({ sessionEnabled });
+  await chrome.storage.local.set({ sessionEnabled, inputMode });
 }
 
 // Toggle session
@@ -39,6 +58,9 @@ async function toggleSession() {
   // Disconnect if turning off
   if (!sessionEnabled) {
     connectedTabId = null;
+    for (const tabId of [...attachedTabs]) {
+      await detachDebugger(tabId);
+    }
   }
   return sessionEnabled;
 }
@@ -77,6 +99,18 @@ chrome.tabs.onRemoved.addListener(async (tabId) => {
   if (connectedTabId === tabId) {
     connectedTabId = null;
   }
+  snapshotRefs.delete(tabId);
+  consoleLogs.delete(tabId);
+  networkActivity.delete(tabId);
+  networkCaptures.delete(tabId);
+  networkRoutes.delete(tabId);
+  networkEmulation.delete(tabId);
+  deviceEmulation.delete(tabId);
+  dialogWatches.delete(tabId);
+  downloadWatches.delete(tabId);
+  recordingTabs.delete(tabId);
+  attachedTabs.delete(tabId);
+  cdpListeners.delete(tabId);
 });
 
 // Connect to WebSocket server
@@ -91,6 +125,8 @@ function connect() {
     startKeepAlive();
     // Notify server we're ready
     send({ type: 'extension_ready' });
+    // Push recording changes made while disconnected and get the server's list
+    flushRecordingOutbox();
     // Update icon to reflect connected state
     updateIcon();
   };
@@ -105,6 +141,18 @@ function connect() {
         return;
       }
 
+      // Server gave up waiting on a request
+      if (message.type === 'cancel') {
+        await cancelRequest(message.requestId);
+        return;
+      }
+
+      // Server's recording list, after a sync or a change made by an agent
+      if (message.type === 'recordings') {
+        await receiveRecordings(message.recordings || [], message.results || []);
+        return;
+      }
+
       console.log('[Background] Received:', event.data);
       await handleMessage(message);
     } catch (err) {
@@ -154,7 +202,11 @@ function stopKeepAlive() {
 
 // Handle incoming messages from MCP server
 async function handleMessage(message) {
-  const { id, method, params } = message;
+  const { id, method } = message;
+  const controller = new AbortController();
+  // Long-running operations watch the signal; in-page waits are stopped by request id
+  const params = { ...message.params, requestId: id, signal: controller.signal };
+  activeRequests.set(id, { controller, tabId: params.tabId ?? connectedTabId });
 
   try {
     let result;
@@ -169,55 +221,63 @@ async function handleMessage(message) {
         break;
 
       case 'disconnect_tab':
-        result = disconnectTab();
+        result = await disconnectTab();
         break;
 
       case 'upload_file':
         result = await uploadFile(params, params.tabId);
         break;
 
+      case 'upload_chunk':
+        result = receiveUploadChunk(params.uploadId, params.index, params.data);
+        break;
+
       case 'get_page_info':
         result = await getPageInfo(params.tabId);
         break;
 
       case 'navigate':
-        result = await navigate(params.url, params.tabId);
+        result = await navigate(params.url, params.tabId, params);
         break;
 
       case 'click':
-        result = await click(params.selector, params.tabId);
+        result = await click(params, params.tabId, params);
         break;
 
       case 'type':
-        result = await type(params.selector, params.text, params.tabId);
+        result = await type(params, params.text, params.tabId, params);
         break;
 
       case 'select_option':
-        result = await selectOption(params.selector, params.value, params.tabId);
+        result = await selectOption(params, params.value, params.tabId, params);
         break;
 
       case 'press_key':
-        result = await pressKey(params.key, params.selector, params.tabId);
+        result = await pressKey(params.key, params, params.tabId, params);
         break;
 
       case 'screenshot':
-        result = await screenshot(params.tabId);
+        result = await screenshot(params, params.tabId);
         break;
 
       case 'go_back':
-        result = await goBack(params.tabId);
+        result = await goBack(params.tabId, params);
         break;
 
       case 'go_forward':
-        result = await goForward(params.tabId);
+        result = await goForward(params.tabId, params);
+        break;
+
+      case 'reload':
+        result = await reload(params.tabId, params);
         break;
 
       case 'console_messages':
-        result = await getConsoleMessages(params.tabId);
+        result = await getConsoleMessages(params.tabId, params);
         break;
 
       case 'snapshot':
-        result = await getSnapshot(params.tabId);
+        result = await getSnapshot(params.tabId, params.mode, params);
         break;
 
       case 'tab_new':
@@ -225,7 +285,7 @@ async function handleMessage(message) {
         break;
 
       case 'window_new':
-        result = await createWindow(params.url);
+        result = await createWindow(params.url, params.device);
         break;
 
       case 'window_close':
@@ -234,32 +294,73 @@ async function handleMessage(message) {
 
       // Phase 2 methods
       case 'hover':
-        result = await hover(params.selector, params.tabId);
+        result = await hover(params, params.tabId, params);
         break;
 
       case 'drag':
-        result = await drag(params.sourceSelector, params.targetSelector, params.tabId);
+        result = await drag(
+          { selector: params.sourceSelector, ref: params.sourceRef, frameId: params.frameId, frame: params.frame },
+          { selector: params.targetSelector, ref: params.targetRef, frameId: params.frameId, frame: params.frame },
+          params.tabId,
+          params
+        );
         break;
 
       case 'handle_dialog':
         result = await handleDialog(params.action, params.promptText, params.tabId);
         break;
 
+      case 'set_dialog_policy':
+        result = await setDialogPolicy(params.policy, params.promptText, params.tabId);
+        break;
+
+      case 'list_dialogs':
+        result = await listDialogs(params.tabId);
+        break;
+
+      case 'wait_for_download':
+        result = await waitForDownload(params, params.tabId);
+        break;
+
+      case 'list_downloads':
+        result = await listDownloads(params.tabId);
+        break;
+
+      case 'get_download':
+        result = await getDownload(params.downloadId);
+        break;
+
+      case 'cancel_download':
+        result = await cancelDownload(params.downloadId);
+        break;
+
       case 'tab_close':
         result = await closeTab(params.tabId);
         break;
 
+      case 'set_input_mode':
+        result = await setInputMode(params.mode);
+        break;
+
       // Phase 3 methods
       case 'scroll':
-        result = await scroll(params.direction, params.amount, params.selector, params.tabId);
+        result = await scroll(params.direction, params.amount, params, params.tabId);
         break;
 
       case 'wait_for_selector':
-        result = await waitForSelector(params.selector, params.timeout, params.tabId);
+        result = await waitForSelector(params.selector, params, params.tabId);
+        break;
+
+      case 'find_recorded_element':
+        result = await findRecordedElement(params, params.tabId);
+        break;
+
+      case 'list_frames':
+        result = await listFrames(params.tabId);
         break;
 
       case 'evaluate':
-        result = await evaluate(params.code, params.tabId);
+        result = await evaluate(params.code, params.tabId, params);
         break;
 
       case 'get_cookies':
@@ -271,33 +372,77 @@ async function handleMessage(message) {
         break;
 
       case 'network_requests':
-        result = await getNetworkRequests(params.filter, params.tabId);
+        result = await getNetworkRequests(params, params.tabId);
+        break;
+
+      case 'network_mark':
+        result = await markNetwork(params.name, params.tabId);
+        break;
+
+      case 'export_har':
+        result = await exportHar(params, params.tabId);
+        break;
+
+      case 'route_add':
+        result = await addRoute(params, params.tabId);
+        break;
+
+      case 'route_list':
+        result = listRoutes(params.tabId);
         break;
 
-      // Recording methods
-      case 'list_recordings':
-        result = await getRecordings();
+      case 'route_remove':
+        result = await removeRoute(params.routeId, params.tabId);
         break;
 
-      case 'get_recording':
-        result = await getRecordingByName(params.name);
+      case 'emulate_network':
+        result = await emulateNetwork(params, params.tabId);
         break;
 
-      case 'replay_recording':
-        result = await replayRecording(params.name);
+      case 'emulate':
+        result = await emulate(params, params.tabId);
         break;
 
-      case 'delete_recording':
-        result = await deleteRecording(params.name);
+      // Recording methods (saved recordings live on the server)
+      case 'take_current_recording':
+        result = await takeCurrentRecording();
         break;
 
       default:
         throw new Error(`Unknown method: ${method}`);
     }
 
-    send({ id, result });
+    // Nobody is waiting for a cancelled request
+    if (!controller.signal.aborted) {
+      send({ id, result });
+    }
   } catch (error) {
-    send({ id, error: error.message });
+    if (!controller.signal.aborted) {
+      send({ id, error: error.message });
+    }
+  } finally {
+    activeRequests.delete(id);
+  }
+}
+
+// Cancel a request the server timed out on
+async function cancelRequest(requestId) {
+  const request = activeRequests.get(requestId);
+  if (!request) return;
+  request.controller.abort();
+  console.log('[Background] Cancelled request:', requestId);
+
+  // Stop any in-page wait loops the request started
+  if (request.tabId) {
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId: request.tabId, allFrames: true },
+        func: (reqId) => window.__mcpHelpers?.cancel(reqId),
+        args: [requestId]
+      });
+    } catch (err) {
+      // Tab may have closed or navigated away
+    }
   }
 }
 
@@ -327,6 +472,7 @@ async function connectTab(tabId) {
   }
   connectedTabId = tabId;
   console.log('[Background] Connected to tab:', tabId, tab.title);
+  await instrumentTab(tabId);
   return {
     success: true,
     tabId,
@@ -335,10 +481,14 @@ async function connectTab(tabId) {
   };
 }
 
-// Disconnect from current tab
-function disconnectTab() {
+// Disconnect from current tab, undoing any throttling and device emulation on it
+async function disconnectTab() {
   const oldTabId = connectedTabId;
   connectedTabId = null;
+  if (oldTabId) {
+    await clearNetworkEmulation(oldTabId);
+    await clearDeviceEmulation(oldTabId);
+  }
   return { success: true, disconnectedTabId: oldTabId };
 }
 
@@ -346,29 +496,84 @@ function disconnectTab() {
 async function getPageInfo(explicitTabId) {
   const tabId = resolveTabId(explicitTabId);
   const tab = await chrome.tabs.get(tabId);
-  return {
+  const info = {
     tabId,
     title: tab.title,
     url: tab.url
   };
+  if (networkEmulation.has(tabId)) {
+    info.networkEmulation = networkEmulation.get(tabId);
+  }
+  if (deviceEmulation.has(tabId)) {
+    info.emulation = deviceEmulation.get(tabId);
+  }
+  return info;
 }
 
-// Upload file to an input element
+// Upload files to a file input, or drop them onto a drop zone (mode "drop").
+// Each file arrives inline ({ name, mimeType, content }) or was streamed ahead with upload_chunk ({ name, mimeType, uploadId }).
 async function uploadFile(params, explicitTabId) {
-  const { selector, fileName, fileContent, mimeType } = params;
   const tabId = resolveTabId(explicitTabId);
+  const mode = params.mode || 'input';
+  if (mode !== 'input' && mode !== 'drop') {
+    throw new Error(`Unknown upload mode: ${mode}. Use "input" or "drop".`);
+  }
+  // Single inline file, as sent by older servers
+  const files = params.files || [{ name: params.fileName, mimeType: params.mimeType, content: params.fileContent }];
+  const transferId = `upload-${params.requestId}`;
 
-  // Execute in the content script context
-  const results = await chrome.scripting.executeScript({
-    target: { tabId },
-    func: injectFile,
-    args: [selector, fileName, fileContent, mimeType]
-  });
+  try {
+    const { selector, frameId } = await resolveTarget(tabId, params, mode === 'drop' ? 'drop zone' : 'file input');
+
+    // Hand the bytes to the page one chunk at a time, so no single message holds a large file
+    for (let index = 0; index < files.length; index++) {
+      const file = files[index];
+      const chunks = file.uploadId ? takeUploadChunks(file.uploadId) : [file.content];
+      for (const chunk of chunks) {
+        await chrome.scripting.executeScript({
+          target: frameTarget(tabId, frameId),
+          func: appendUploadChunk,
+          args: [transferId, index, chunk]
+        });
+      }
+    }
+
+    const fileInfo = files.map(({ name, mimeType }) => ({ name, mimeType }));
+    const action = mode === 'drop' ? 'drop' : 'upload';
+    const result = await runWithHelpers(tabId, injectFiles, [selector, transferId, fileInfo, mode, actionOptions(action, params)], frameId);
+    return withRefError(result, params);
+  } finally {
+    files.forEach(file => file.uploadId && pendingUploads.delete(file.uploadId));
+  }
+}
+
+// Streamed upload data: uploadId -> { chunks: base64 strings in order, receivedAt }
+const pendingUploads = new Map();
+// Streams never claimed by an upload (e.g. the server gave up) are dropped after this long
+const PENDING_UPLOAD_TTL_MS = 5 * 60 * 1000;
+
+// Store one chunk of a file the server is streaming ahead of upload_file
+function receiveUploadChunk(uploadId, index, data) {
+  const now = Date.now();
+  for (const [id, upload] of pendingUploads) {
+    if (now - upload.receivedAt > PENDING_UPLOAD_TTL_MS) pendingUploads.delete(id);
+  }
+  if (!pendingUploads.has(uploadId)) {
+    pendingUploads.set(uploadId, { chunks: [], receivedAt: now });
+  }
+  const upload = pendingUploads.get(uploadId);
+  upload.chunks[index] = data;
+  upload.receivedAt = now;
+  return { success: true, uploadId, index };
+}
 
-  if (results && results[0]) {
-    return results[0].result;
+function takeUploadChunks(uploadId) {
+  const upload = pendingUploads.get(uploadId);
+  if (!upload) {
+    throw new Error(`Upload data ${uploadId} not found. It may have expired - try the upload again.`);
   }
-  throw new Error('Script execution failed');
+  pendingUploads.delete(uploadId);
+  return upload.chunks;
 }
 
 // Helper to resolve tab ID - uses explicit tabId if provided, otherwise falls back to connectedTabId
@@ -380,172 +585,491 @@ function resolveTabId(explicitTabId) {
   return tabId;
 }
 
+// Helper to resolve an element target - accepts { selector } or { ref } and returns { selector, frameId }.
+// Refs must come from the latest snapshot of the tab and carry their own frame;
+// selectors run in the frame given by frameId/frame (default: the top document).
+async function resolveTarget(tabId, target, label = 'element') {
+  const { selector, ref } = target || {};
+  if (ref) {
+    const snapshot = snapshotRefs.get(tabId);
+    if (!snapshot) {
+      throw new Error(`No snapshot taken for tab ${tabId}. Call browser_snapshot before using ref "${ref}".`);
+    }
+    if (!snapshot.refs.has(ref)) {
+      throw new Error(`Unknown ref "${ref}": not in the latest snapshot of tab ${tabId}. Take a new browser_snapshot.`);
+    }
+    const { frameId, ref: localRef } = parseRef(ref);
+    return { selector: `[data-mcp-ref="${localRef}"]`, frameId };
+  }
+  if (selector) {
+    return { selector, frameId: await resolveFrameId(tabId, target) };
+  }
+  throw new Error(`No ${label} specified. Pass either a selector or a ref from browser_snapshot.`);
+}
+
+// Rewrite "Element not found" results for ref targets into a stale ref error
+function withRefError(result, target) {
+  if (result && !result.success && target?.ref && result.error?.includes('not found')) {
+    return {
+      ...result,
+      error: `Stale ref "${target.ref}": the element is no longer on the page. Take a new browser_snapshot and use its refs.`
+    };
+  }
+  return result;
+}
+
 // Legacy helper for backward compatibility
 function requireConnectedTab() {
   return resolveTabId(null);
 }
 
-// Navigate to URL
-async function navigate(url, explicitTabId) {
+// Navigate to URL and wait for the requested load state (default "load")
+async function navigate(url, explicitTabId, options = {}) {
   const tabId = resolveTabId(explicitTabId);
-  await chrome.tabs.update(tabId, { url });
-  return { success: true, url, tabId };
+  return navigateAndWait(tabId, options, () => chrome.tabs.update(tabId, { url }));
 }
 
-// Click an element
-async function click(selector, explicitTabId) {
+// Click an element once it is actionable (visible, stable, enabled, not covered).
+// options.button ("left", "right", "middle") and options.clickCount (2 for a double click) pick the kind of click.
+async function click(target, explicitTabId, options = {}) {
   const tabId = resolveTabId(explicitTabId);
-  const results = await chrome.scripting.executeScript({
-    target: { tabId },
-    func: (sel) => {
-      const el = document.querySelector(sel);
-      if (!el) return { success: false, error: `Element not found: ${sel}` };
+  const { selector, frameId } = await resolveTarget(tabId, target);
+  const button = options.button || 'left';
+  const clickCount = options.clickCount || 1;
+  if (!['left', 'right', 'middle'].includes(button)) {
+    throw new Error(`Unknown button: ${button}. Use "left", "right" or "middle".`);
+  }
+  const result = await withInputMode(options.inputMode, async () => {
+    const point = await waitForActionablePoint(tabId, selector, 'click', options, frameId);
+    if (!point.success) return point;
+    await cdpClickAt(tabId, point.x, point.y, button, clickCount);
+    return { success: true, selector, button, clickCount };
+  }, () => runWithHelpers(tabId, async (sel, btn, count, opts) => {
+    const target = await window.__mcpHelpers.waitForActionable(sel, opts);
+    if (target.error) return { success: false, error: target.error };
+    const el = target.element;
+    if (btn === 'left' && count === 1) {
       el.click();
-      return { success: true, selector: sel };
-    },
-    args: [selector]
-  });
-  return results[0]?.result || { success: false, error: 'Script failed' };
+      return { success: true, selector: sel, button: btn, clickCount: count };
+    }
+    const buttonCode = { left: 0, middle: 1, right: 2 }[btn];
+    const init = { bubbles: true, cancelable: true, composed: true, clientX: target.x, clientY: target.y, button: buttonCode };
+    for (let detail = 1; detail <= count; detail++) {
+      el.dispatchEvent(new MouseEvent('mousedown', { ...init, detail }));
+      el.dispatchEvent(new MouseEvent('mouseup', { ...init, detail }));
+      if (btn === 'left') {
+        el.dispatchEvent(new MouseEvent('click', { ...init, detail }));
+      } else if (btn === 'middle') {
+        el.dispatchEvent(new MouseEvent('auxclick', { ...init, detail }));
+      }
+    }
+    if (btn === 'right') {
+      el.dispatchEvent(new MouseEvent('contextmenu', init));
+    } else if (btn === 'left' && count === 2) {
+      el.dispatchEvent(new MouseEvent('dblclick', { ...init, detail: 2 }));
+    }
+    return { success: true, selector: sel, button: btn, clickCount: count };
+  }, [selector, button, clickCount, actionOptions('click', options)], frameId));
+  return withRefError(result, target);
 }
 
-// Type text into an element
-async function type(selector, text, explicitTabId) {
+// Type text into an element once it is visible, enabled and editable
+async function type(target, text, explicitTabId, options = {}) {
   const tabId = resolveTabId(explicitTabId);
-  const results = await chrome.scripting.executeScript({
-    target: { tabId },
-    func: (sel, txt) => {
-      const el = document.querySelector(sel);
-      if (!el) return { success: false, error: `Element not found: ${sel}` };
-      el.focus();
-      el.value = txt;
-      el.dispatchEvent(new Event('input', { bubbles: true }));
-      el.dispatchEvent(new Event('change', { bubbles: true }));
+  const { selector, frameId } = await resolveTarget(tabId, target);
+  const result = await withInputMode(options.inputMode, async () => {
+    const focused = await focusElement(tabId, selector, 'type', options, frameId);
+    if (!focused.success) return focused;
+    if (text) {
+      await cdp(tabId, 'Input.insertText', { text });
+    } else {
+      // Clearing the field: delete the selected contents
+      await cdpPressKey(tabId, 'Backspace');
+    }
+    return { success: true, selector, text };
+  }, () => runWithHelpers(tabId, async (sel, txt, opts) => {
+    const target = await window.__mcpHelpers.waitForActionable(sel, opts);
+    if (target.error) return { success: false, error: target.error };
+    const el = target.element;
+    el.focus();
+    if (el.isContentEditable) {
+      // Rich editors: replace the contents through the editing pipeline so the editor sees the change
+      const range = document.createRange();
+      range.selectNodeContents(el);
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+      if (!document.execCommand(txt ? 'insertText' : 'delete', false, txt)) {
+        el.textContent = txt;
+        el.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: txt }));
+      }
       return { success: true, selector: sel, text: txt };
-    },
-    args: [selector, text]
-  });
-  return results[0]?.result || { success: false, error: 'Script failed' };
+    }
+    el.value = txt;
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+    return { success: true, selector: sel, text: txt };
+  }, [selector, text, actionOptions('type', options)], frameId));
+  return withRefError(result, target);
 }
 
-// Select an option from a dropdown
-async function selectOption(selector, value, explicitTabId) {
+// Select an option from a dropdown once it is visible and enabled
+async function selectOption(target, value, explicitTabId, options = {}) {
   const tabId = resolveTabId(explicitTabId);
-  const results = await chrome.scripting.executeScript({
-    target: { tabId },
-    func: (sel, val) => {
-      const el = document.querySelector(sel);
-      if (!el) return { success: false, error: `Element not found: ${sel}` };
-      if (el.tagName !== 'SELECT') return { success: false, error: 'Element is not a select' };
-      el.value = val;
-      el.dispatchEvent(new Event('change', { bubbles: true }));
-      return { success: true, selector: sel, value: val };
-    },
-    args: [selector, value]
-  });
-  return results[0]?.result || { success: false, error: 'Script failed' };
+  const { selector, frameId } = await resolveTarget(tabId, target);
+  const result = await runWithHelpers(tabId, async (sel, val, opts) => {
+    const target = await window.__mcpHelpers.waitForActionable(sel, opts);
+    if (target.error) return { success: false, error: target.error };
+    const el = target.element;
+    if (el.tagName !== 'SELECT') return { success: false, error: 'Element is not a select' };
+    el.value = val;
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+    return { success: true, selector: sel, value: val };
+  }, [selector, value, actionOptions('select', options)], frameId);
+  return withRefError(result, target);
 }
 
 // Press a keyboard key
-async function pressKey(key, selector, explicitTabId) {
+async function pressKey(key, target, explicitTabId, options = {}) {
   const tabId = resolveTabId(explicitTabId);
-  const results = await chrome.scripting.executeScript({
-    target: { tabId },
-    func: (k, sel) => {
-      const el = sel ? document.querySelector(sel) : document.activeElement;
+  const { selector, frameId } = target?.selector || target?.ref
+    ? await resolveTarget(tabId, target)
+    : { selector: null, frameId: await resolveFrameId(tabId, target) };
+  const result = await withInputMode(options.inputMode, async () => {
+    if (selector) {
+      const focused = await focusElement(tabId, selector, 'focus', options, frameId);
+      if (!focused.success) return focused;
+    }
+    await cdpPressKey(tabId, key);
+    return { success: true, key };
+  }, async () => {
+    return runWithHelpers(tabId, (k, sel) => {
+      const found = sel ? window.__mcpHelpers.locate(sel) : { element: window.__mcpHelpers.deepActiveElement() };
+      if (found.error) return { success: false, error: found.error };
+      const el = found.element;
       if (!el) return { success: false, error: sel ? `Element not found: ${sel}` : 'No active element' };
       const opts = { key: k, bubbles: true, cancelable: true };
       el.dispatchEvent(new KeyboardEvent('keydown', opts));
       el.dispatchEvent(new KeyboardEvent('keypress', opts));
       el.dispatchEvent(new KeyboardEvent('keyup', opts));
       return { success: true, key: k };
-    },
-    args: [key, selector || null]
+    }, [key, selector], frameId);
   });
-  return results[0]?.result || { success: false, error: 'Script failed' };
+  return withRefError(result, target);
 }
 
-// Take a screenshot
-async function screenshot(explicitTabId) {
+// Take a screenshot of the viewport, one element (selector/ref) or the full page
+async function screenshot(options, explicitTabId) {
   const tabId = resolveTabId(explicitTabId);
-  // Need to focus the tab first for captureVisibleTab to work
-  await chrome.tabs.update(tabId, { active: true });
-  const dataUrl = await chrome.tabs.captureVisibleTab(null, { format: 'png' });
-  return { success: true, dataUrl, tabId };
+  const format = options.format || 'png';
+  if (!['png', 'jpeg', 'webp'].includes(format)) {
+    throw new Error(`Unsupported screenshot format: ${format}. Use png, jpeg or webp.`);
+  }
+  const quality = format === 'png' ? undefined : options.quality;
+
+  let clip;
+  if (options.selector || options.ref) {
+    const { selector, frameId } = await resolveTarget(tabId, options);
+    const rect = withRefError(await getElementRect(tabId, selector, frameId), options);
+    if (!rect.success) return rect;
+    clip = { x: rect.x, y: rect.y, width: rect.width, height: rect.height, scale: 1 };
+  }
+
+  // Capture over CDP: works on background tabs without activating them, so parallel captures don't race
+  try {
+    if (options.fullPage && !clip) {
+      const { cssContentSize, contentSize } = await cdp(tabId, 'Page.getLayoutMetrics');
+      const size = cssContentSize || contentSize;
+      clip = { x: 0, y: 0, width: Math.ceil(size.width), height: Math.ceil(size.height), scale: 1 };
+    }
+    const { data } = await cdp(tabId, 'Page.captureScreenshot', {
+      format,
+      quality,
+      clip,
+      captureBeyondViewport: !!clip
+    });
+    return {
+      success: true,
+      tabId,
+      format,
+      mimeType: `image/${format}`,
+      width: clip?.width,
+      height: clip?.height,
+      data
+    };
+  } catch (err) {
+    // Without the debugger only plain viewport shots are possible
+    if (!err.message?.startsWith('Could not attach debugger') || clip || options.fullPage || format === 'webp') {
+      throw err;
+    }
+    const dataUrl = await captureVisibleTabExclusive(tabId, { format, quality });
+    return {
+      success: true,
+      tabId,
+      format,
+      mimeType: `image/${format}`,
+      data: dataUrl.split(',')[1],
+      fallbackReason: err.message
+    };
+  }
 }
 
-// Go back in history
-async function goBack(explicitTabId) {
-  const tabId = resolveTabId(explicitTabId);
-  const results = await chrome.scripting.executeScript({
-    target: { tabId },
-    func: () => {
-      history.back();
-      return { success: true };
+// Per-window queue for captureVisibleTab, which only sees the active tab
+const windowCaptureQueues = new Map();
+
+// Activate a tab, capture it, and restore the previously active tab.
+// Captures in the same window run one at a time so parallel agents don't capture each other's tabs.
+async function captureVisibleTabExclusive(tabId, options) {
+  const tab = await chrome.tabs.get(tabId);
+  const previous = windowCaptureQueues.get(tab.windowId) || Promise.resolve();
+
+  const capture = previous.catch(() => {}).then(async () => {
+    const [activeTab] = await chrome.tabs.query({ active: true, windowId: tab.windowId });
+    await chrome.tabs.update(tabId, { active: true });
+    try {
+      return await chrome.tabs.captureVisibleTab(tab.windowId, options);
+    } finally {
+      if (activeTab && activeTab.id !== tabId) {
+        await chrome.tabs.update(activeTab.id, { active: true }).catch(() => {});
+      }
     }
   });
-  return results[0]?.result || { success: false, error: 'Script failed' };
+
+  windowCaptureQueues.set(tab.windowId, capture);
+  return capture;
 }
 
-// Go forward in history
-async function goForward(explicitTabId) {
-  const tabId = resolveTabId(explicitTabId);
-  const results = await chrome.scripting.executeScript({
-    target: { tabId },
-    func: () => {
-      history.forward();
-      return { success: true };
+// Get an element's bounding box in document coordinates
+async function getElementRect(tabId, selector, frameId = 0) {
+  const rect = await runWithHelpers(tabId, (sel) => {
+    const { element: el, error } = window.__mcpHelpers.locate(sel);
+    if (error) return { success: false, error };
+    if (!el) return { success: false, error: `Element not found: ${sel}` };
+    const rect = el.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) {
+      return { success: false, error: `Element has no size: ${sel}` };
     }
+    return {
+      success: true,
+      x: rect.left + window.scrollX,
+      y: rect.top + window.scrollY,
+      left: rect.left,
+      top: rect.top,
+      width: rect.width,
+      height: rect.height
+    };
+  }, [selector], frameId);
+  if (!rect.success || !frameId) return rect;
+
+  // Position elements inside a frame in the top document
+  const offset = await getFrameOffset(tabId, frameId);
+  const [{ result: scroll }] = await chrome.scripting.executeScript({
+    target: frameTarget(tabId),
+    func: () => ({ x: window.scrollX, y: window.scrollY })
   });
-  return results[0]?.result || { success: false, error: 'Script failed' };
+  return { ...rect, x: rect.left + offset.x + scroll.x, y: rect.top + offset.y + scroll.y };
 }
 
-// Get console messages (injects interceptor and returns captured messages)
-async function getConsoleMessages(explicitTabId) {
+// Go back in history
+async function goBack(explicitTabId, options = {}) {
   const tabId = resolveTabId(explicitTabId);
-  const results = await chrome.scripting.executeScript({
-    target: { tabId },
-    func: () => {
-      // Return captured messages if we've already injected
-      if (window.__mcpConsoleLogs) {
-        const logs = [...window.__mcpConsoleLogs];
-        window.__mcpConsoleLogs = []; // Clear after reading
-        return { success: true, messages: logs };
-      }
+  return navigateAndWait(tabId, options, () => chrome.tabs.goBack(tabId));
+}
 
-      // Inject interceptor
-      window.__mcpConsoleLogs = [];
-      const originalConsole = {
-        log: console.log,
-        warn: console.warn,
-        error: console.error,
-        info: console.info
-      };
+// Go forward in history
+async function goForward(explicitTabId, options = {}) {
+  const tabId = resolveTabId(explicitTabId);
+  return navigateAndWait(tabId, options, () => chrome.tabs.goForward(tabId));
+}
 
-      ['log', 'warn', 'error', 'info'].forEach(level => {
-        console[level] = (...args) => {
-          window.__mcpConsoleLogs.push({
-            level,
-            message: args.map(a => typeof a === 'object' ? JSON.stringify(a) : String(a)).join(' '),
-            timestamp: Date.now()
-          });
-          originalConsole[level].apply(console, args);
-        };
-      });
+// Reload the page
+async function reload(explicitTabId, options = {}) {
+  const tabId = resolveTabId(explicitTabId);
+  return navigateAndWait(tabId, options, () => chrome.tabs.reload(tabId, { bypassCache: !!options.bypassCache }));
+}
+
+// Get captured console messages. Reads don't clear the buffer - pass the returned cursor to get only newer entries.
+// The first call starts capture for the tab (tabs the debugger is already attached to are captured from then on).
+async function getConsoleMessages(explicitTabId, options = {}) {
+  const tabId = resolveTabId(explicitTabId);
+  const log = await startConsoleCapture(tabId);
+  const levels = options.level ? [].concat(options.level) : null;
+  const limit = options.limit || 100;
+
+  const matching = log.entries.filter(entry =>
+    entry.seq > (options.cursor || 0) && (!levels || levels.includes(entry.level))
+  );
+  const messages = matching.slice(0, limit);
+
+  return {
+    success: true,
+    tabId,
+    messages,
+    // Pass as cursor to continue after the last returned entry
+    cursor: messages.length ? messages[messages.length - 1].seq : Math.max(options.cursor || 0, log.nextSeq - 1),
+    hasMore: matching.length > limit,
+    dropped: log.dropped
+  };
+}
+
+// Start capturing a tab's console through the debugger Runtime domain (no-op if already running).
+// Enabling Runtime replays what the current document logged before, so messages from page load are included.
+async function startConsoleCapture(tabId) {
+  if (!consoleLogs.has(tabId)) {
+    consoleLogs.set(tabId, { entries: [], nextSeq: 1, dropped: 0, contexts: new Map(), frameUrls: new Map(), unsubscribe: null, ready: null });
+  }
+  const log = consoleLogs.get(tabId);
+  if (log.unsubscribe) {
+    // Already running, or starting from another call
+    await log.ready;
+    return log;
+  }
+
+  // Replayed messages that were already captured before the debugger was last detached are skipped
+  const seenUntil = log.entries.length ? log.entries[log.entries.length - 1].timestamp : 0;
+  log.contexts.clear();
+  log.unsubscribe = onCdpEvent(tabId, (method, params) => handleConsoleEvent(log, method, params, seenUntil));
+  log.ready = (async () => {
+    await cdp(tabId, 'Page.enable');
+    const { frameTree } = await cdp(tabId, 'Page.getFrameTree');
+    const addFrames = (node) => {
+      log.frameUrls.set(node.frame.id, node.frame.url);
+      (node.childFrames || []).forEach(addFrames);
+    };
+    addFrames(frameTree);
+    await cdp(tabId, 'Runtime.enable');
+  })();
+  try {
+    await log.ready;
+  } catch (err) {
+    log.unsubscribe();
+    log.unsubscribe = null;
+    throw err;
+  }
+  return log;
+}
+
+// Stop listening when the debugger goes away. Entries captured so far are kept.
+function stopConsoleCapture(tabId) {
+  const log = consoleLogs.get(tabId);
+  if (!log) return;
+  log.unsubscribe?.();
+  log.unsubscribe = null;
+}
+
+// Console levels reported by Runtime.consoleAPICalled, mapped to the levels we filter on
+const CONSOLE_LEVELS = { warning: 'warn', assert: 'error', trace: 'trace', debug: 'debug', info: 'info', error: 'error' };
 
-      return { success: true, messages: [], note: 'Console interceptor installed. Call again to get messages.' };
+// Readable text for a console argument
+function formatRemoteObject(object) {
+  if (object.type === 'string') return object.value;
+  if (object.unserializableValue) return object.unserializableValue;
+  if (object.type === 'undefined') return 'undefined';
+  if ('value' in object && object.type !== 'object') return String(object.value);
+  if (object.value !== undefined) {
+    try {
+      return JSON.stringify(object.value);
+    } catch {
+      // Fall through to the description
     }
-  });
-  return results[0]?.result || { success: false, error: 'Script failed' };
+  }
+  return object.description || object.type;
+}
+
+// "at fn (url:line:column)" lines for a CDP stack trace (its line and column numbers are 0-based)
+function formatStackTrace(stackTrace) {
+  return (stackTrace?.callFrames || [])
+    .map(frame => `at ${frame.functionName || '<anonymous>'} (${frame.url}:${frame.lineNumber + 1}:${frame.columnNumber + 1})`)
+    .join('\n');
+}
+
+// Source location of the top stack frame
+function stackSource(stackTrace) {
+  const frame = stackTrace?.callFrames?.[0];
+  return frame ? { url: frame.url, lineNumber: frame.lineNumber + 1, columnNumber: frame.columnNumber + 1 } : null;
+}
+
+// Update a tab's console log from a CDP event. Only the pages' own scripts count, not extension content scripts.
+function handleConsoleEvent(log, method, params, seenUntil) {
+  switch (method) {
+    case 'Page.frameNavigated':
+      log.frameUrls.set(params.frame.id, params.frame.url);
+      return;
+    case 'Runtime.executionContextCreated':
+      if (params.context.auxData?.isDefault) {
+        log.contexts.set(params.context.id, params.context.auxData.frameId);
+      }
+      return;
+    case 'Runtime.executionContextDestroyed':
+      log.contexts.delete(params.executionContextId);
+      return;
+    case 'Runtime.executionContextsCleared':
+      log.contexts.clear();
+      return;
+    case 'Runtime.consoleAPICalled': {
+      if (!log.contexts.has(params.executionContextId) || params.timestamp <= seenUntil) return;
+      const level = CONSOLE_LEVELS[params.type] || 'log';
+      addConsoleEntry(log, {
+        level,
+        type: 'console',
+        message: (params.args || []).map(formatRemoteObject).join(' '),
+        timestamp: params.timestamp,
+        url: log.frameUrls.get(log.contexts.get(params.executionContextId)) || null,
+        source: stackSource(params.stackTrace),
+        // Stack traces for the levels where they're useful
+        stack: ['error', 'warn', 'trace'].includes(level) ? formatStackTrace(params.stackTrace) : undefined
+      });
+      return;
+    }
+    case 'Runtime.exceptionThrown': {
+      const details = params.exceptionDetails;
+      if (!log.contexts.has(details.executionContextId) || params.timestamp <= seenUntil) return;
+      const description = details.exception?.description || formatRemoteObject(details.exception || { type: 'undefined' });
+      const rejection = details.text?.includes('(in promise)');
+      addConsoleEntry(log, {
+        level: 'error',
+        type: rejection ? 'unhandledrejection' : 'exception',
+        message: rejection
+          ? `Unhandled promise rejection: ${description.split('\n')[0]}`
+          : description.split('\n')[0] || details.text,
+        timestamp: params.timestamp,
+        url: log.frameUrls.get(log.contexts.get(details.executionContextId)) || null,
+        source: details.url ? { url: details.url, lineNumber: details.lineNumber + 1, columnNumber: details.columnNumber + 1 } : stackSource(details.stackTrace),
+        stack: details.stackTrace ? formatStackTrace(details.stackTrace) : description
+      });
+    }
+  }
+}
+
+// Add a console entry, keeping the newest entries
+function addConsoleEntry(log, entry) {
+  if (entry.message.length > MAX_CONSOLE_MESSAGE_LENGTH) {
+    entry.message = entry.message.slice(0, MAX_CONSOLE_MESSAGE_LENGTH) + '… (truncated)';
+  }
+  log.entries.push({ seq: log.nextSeq++, ...entry });
+  if (log.entries.length > MAX_CONSOLE_ENTRIES) {
+    log.entries.shift();
+    log.dropped++;
+  }
 }
 
 // Get page snapshot (accessibility tree-like structure)
-async function getSnapshot(explicitTabId) {
+// Elements keep their ref across snapshots of the same document; new elements get fresh refs.
+// Without a frame argument, interactive snapshots cover every frame; child frames are listed under "frames".
+async function getSnapshot(explicitTabId, mode = 'interactive', options = {}) {
   const tabId = resolveTabId(explicitTabId);
+  const singleFrame = options.frameId !== undefined || !!options.frame;
+  const frameId = singleFrame ? await resolveFrameId(tabId, options) : null;
+  if (mode === 'accessibility') {
+    return getAccessibilitySnapshot(tabId, frameId);
+  }
+  const target = singleFrame ? frameTarget(tabId, frameId) : { tabId, allFrames: true };
+  await chrome.scripting.executeScript({ target, files: ['helpers.js'] });
   const results = await chrome.scripting.executeScript({
-    target: { tabId },
+    target,
     func: () => {
       const elements = [];
-      let refCounter = 0;
+      window.__mcpRefCounter = window.__mcpRefCounter || 0;
 
       // Find all interactive elements
       const interactiveSelectors = [
@@ -555,13 +1079,17 @@ async function getSnapshot(explicitTabId) {
         '[onclick]', '[tabindex]'
       ];
 
-      const allElements = document.querySelectorAll(interactiveSelectors.join(','));
+      // Includes elements inside shadow roots; slotted elements are part of the document already
+      const allElements = window.__mcpHelpers.queryAllDeep(interactiveSelectors.join(','));
 
       allElements.forEach(el => {
-        // Skip hidden elements
-        if (el.offsetParent === null && el.tagName !== 'INPUT') return;
+        // Skip hidden elements (and drop their old ref so it reads as stale)
+        if (el.offsetParent === null && el.tagName !== 'INPUT') {
+          delete el.dataset.mcpRef;
+          return;
+        }
 
-        const ref = `e${++refCounter}`;
+        const ref = el.dataset.mcpRef || `e${++window.__mcpRefCounter}`;
         el.dataset.mcpRef = ref;
 
         const info = {
@@ -596,147 +1124,381 @@ async function getSnapshot(explicitTabId) {
       };
     }
   });
-  return results[0]?.result || { success: false, error: 'Script failed' };
+
+  // Refs from child frames carry their frame id
+  const frames = results
+    .filter(({ result }) => result?.success)
+    .map(({ frameId: id, result }) => ({
+      frameId: id,
+      ...result,
+      elements: result.elements.map(el => ({ ...el, ref: frameRef(id, el.ref) }))
+    }))
+    .sort((a, b) => a.frameId - b.frameId);
+  if (frames.length === 0) {
+    return { success: false, error: 'Script failed' };
+  }
+
+  const allRefs = frames.flatMap(frame => frame.elements.map(el => el.ref));
+  if (singleFrame) {
+    rememberSnapshotRefs(tabId, allRefs, frameId);
+    const [{ frameId: id, ...result }] = frames;
+    return id ? { ...result, frameId: id } : result;
+  }
+
+  rememberSnapshotRefs(tabId, allRefs);
+  const [top, ...children] = frames;
+  const { frameId: topFrameId, ...result } = top;
+  const childFrames = children
+    .filter(frame => frame.elements.length > 0)
+    .map(({ success, ...frame }) => frame);
+  if (childFrames.length > 0) {
+    result.frames = childFrames;
+  }
+  return result;
 }
 
-// Create a new tab
-async function createTab(url, windowId) {
-  const options = { url: url || 'about:blank' };
-  if (windowId) {
-    options.windowId = windowId;
+// Get an accessibility tree snapshot: roles, accessible names, states and refs, nested by hierarchy.
+// Uses the browser's own accessibility tree over CDP, falling back to a DOM-based computation.
+// Child frames (frameId set) always use the DOM computation.
+async function getAccessibilitySnapshot(tabId, frameId = null) {
+  let result;
+  if (frameId) {
+    result = await getDomAccessibilitySnapshot(tabId, frameId);
+  } else {
+    try {
+      result = await getCdpAccessibilitySnapshot(tabId);
+    } catch (err) {
+      console.log('[Background] CDP accessibility tree unavailable, using DOM:', err.message);
+      result = await getDomAccessibilitySnapshot(tabId);
+      result.fallbackReason = err.message;
+    }
   }
-  const tab = await chrome.tabs.create(options);
-  return {
-    success: true,
-    tabId: tab.id,
-    windowId: tab.windowId,
-    url: tab.url
-  };
+  if (result.success) {
+    if (frameId) {
+      result.refs = result.refs.map(ref => frameRef(frameId, ref));
+      prefixTreeRefs(result.tree, frameId);
+      result.frameId = frameId;
+    }
+    rememberSnapshotRefs(tabId, result.refs, frameId);
+  }
+  delete result.refs;
+  return result;
 }
 
-// Create a new browser window
-async function createWindow(url) {
-  const window = await chrome.windows.create({
-    url: url || 'about:blank',
-    focused: true
+// Record the refs a snapshot handed out. A snapshot of one frame keeps the refs of the tab's other frames.
+function rememberSnapshotRefs(tabId, refs, frameId = null) {
+  const previous = snapshotRefs.get(tabId);
+  const kept = frameId !== null && previous
+    ? [...previous.refs].filter(ref => parseRef(ref).frameId !== frameId)
+    : [];
+  snapshotRefs.set(tabId, {
+    refs: new Set([...kept, ...refs]),
+    takenAt: Date.now()
   });
-  return {
-    success: true,
-    windowId: window.id,
-    tabId: window.tabs?.[0]?.id,
-    url: url || 'about:blank'
-  };
 }
 
-// Close a browser window
-async function closeWindow(windowId) {
-  await chrome.windows.remove(windowId);
-  return {
-    success: true,
-    closedWindowId: windowId
-  };
+// Inject the shared page helpers (window.__mcpHelpers) into a frame
+async function injectHelpers(tabId, frameId = 0) {
+  await chrome.scripting.executeScript({
+    target: frameTarget(tabId, frameId),
+    files: ['helpers.js']
+  });
 }
 
-// ========== Phase 2 Functions ==========
-
-// Hover over an element
-async function hover(selector, explicitTabId) {
-  const tabId = resolveTabId(explicitTabId);
+// Run a function in a frame with window.__mcpHelpers available
+async function runWithHelpers(tabId, func, args = [], frameId = 0) {
+  await injectHelpers(tabId, frameId);
   const results = await chrome.scripting.executeScript({
-    target: { tabId },
-    func: (sel) => {
-      const el = document.querySelector(sel);
-      if (!el) return { success: false, error: `Element not found: ${sel}` };
-
-      const rect = el.getBoundingClientRect();
-      const centerX = rect.left + rect.width / 2;
-      const centerY = rect.top + rect.height / 2;
-
-      // Dispatch mouse events for hover
-      el.dispatchEvent(new MouseEvent('mouseenter', { bubbles: true, clientX: centerX, clientY: centerY }));
-      el.dispatchEvent(new MouseEvent('mouseover', { bubbles: true, clientX: centerX, clientY: centerY }));
-      el.dispatchEvent(new MouseEvent('mousemove', { bubbles: true, clientX: centerX, clientY: centerY }));
-
-      return { success: true, selector: sel };
-    },
-    args: [selector]
+    target: frameTarget(tabId, frameId),
+    func,
+    args
   });
   return results[0]?.result || { success: false, error: 'Script failed' };
 }
 
-// Drag an element to another element
-async function drag(sourceSelector, targetSelector, explicitTabId) {
-  const tabId = resolveTabId(explicitTabId);
+// Accessibility tree computed from the DOM by helpers.js
+async function getDomAccessibilitySnapshot(tabId, frameId = 0) {
+  await injectHelpers(tabId, frameId);
   const results = await chrome.scripting.executeScript({
-    target: { tabId },
-    func: (srcSel, tgtSel) => {
-      const source = document.querySelector(srcSel);
-      const target = document.querySelector(tgtSel);
+    target: frameTarget(tabId, frameId),
+    func: () => {
+      const { tree, refs } = window.__mcpHelpers.buildAccessibilityTree();
+      return {
+        success: true,
+        url: window.location.href,
+        title: document.title,
+        mode: 'accessibility',
+        source: 'dom',
+        tree,
+        refs
+      };
+    }
+  });
+  return results[0]?.result || { success: false, error: 'Script failed' };
+}
 
-      if (!source) return { success: false, error: `Source element not found: ${srcSel}` };
-      if (!target) return { success: false, error: `Target element not found: ${tgtSel}` };
+// AX properties reported as states in snapshots
+const AX_STATE_PROPERTIES = ['expanded', 'checked', 'selected', 'pressed', 'required', 'invalid', 'disabled', 'focused', 'level', 'live'];
 
-      const srcRect = source.getBoundingClientRect();
-      const tgtRect = target.getBoundingClientRect();
+// Accessibility tree from Accessibility.getFullAXTree
+async function getCdpAccessibilitySnapshot(tabId) {
+  const { nodes } = await cdp(tabId, 'Accessibility.getFullAXTree');
+  const byId = new Map(nodes.map(node => [node.nodeId, node]));
+  const property = (node, name) => node.properties?.find(p => p.name === name)?.value?.value;
 
-      const srcX = srcRect.left + srcRect.width / 2;
-      const srcY = srcRect.top + srcRect.height / 2;
-      const tgtX = tgtRect.left + tgtRect.width / 2;
-      const tgtY = tgtRect.top + tgtRect.height / 2;
+  // Stamp refs onto the DOM elements behind actionable nodes. The roles that count live in helpers.js.
+  const { roles } = await runWithHelpers(tabId, () => ({
+    success: true,
+    roles: [...window.__mcpHelpers.INTERACTIVE_ROLES]
+  }));
+  const interactiveRoles = new Set(roles);
+  const actionable = nodes.filter(node =>
+    !node.ignored && node.backendDOMNodeId &&
+    (interactiveRoles.has(node.role?.value) || property(node, 'focusable'))
+  );
+  const refsByBackendId = await stampRefs(tabId, actionable.map(node => node.backendDOMNodeId));
+  const refs = [];
+
+  function convert(node, parentName) {
+    const children = (node.childIds || [])
+      .map(id => byId.get(id))
+      .filter(Boolean)
+      .flatMap(child => convert(child, node.name?.value || parentName));
+
+    const role = node.role?.value;
+    const name = node.name?.value?.trim();
+    const ref = refsByBackendId[node.backendDOMNodeId];
+
+    if (node.ignored || role === 'InlineTextBox' || role === 'LineBreak') {
+      return children;
+    }
+    if (role === 'StaticText') {
+      // Skip text already used as the parent's name
+      return name && !parentName?.includes(name) ? [{ role: 'text', name }] : [];
+    }
+    if (['generic', 'none', 'presentation'].includes(role) && !name && !ref) {
+      return children;
+    }
 
-      // Create and dispatch drag events
-      const dataTransfer = new DataTransfer();
+    const entry = { role: role === 'RootWebArea' ? 'document' : role };
+    if (name) entry.name = name;
+    if (ref) {
+      entry.ref = ref;
+      refs.push(ref);
+    }
+    for (const state of AX_STATE_PROPERTIES) {
+      const value = property(node, state);
+      if (value === undefined || value === 'false' || value === 'off' || value === false) continue;
+      entry[state] = value === 'true' ? true : value;
+    }
+    if (node.value?.value !== undefined && node.value.value !== '') {
+      entry.value = String(node.value.value).slice(0, 100);
+    }
+    if (children.length > 0) entry.children = children;
+    return [entry];
+  }
 
-      source.dispatchEvent(new DragEvent('dragstart', {
-        bubbles: true, cancelable: true, clientX: srcX, clientY: srcY, dataTransfer
-      }));
+  const root = nodes.find(node => !node.parentId);
+  const [tree] = convert(root, null);
+  const tab = await chrome.tabs.get(tabId);
+  return {
+    success: true,
+    url: tab.url,
+    title: tab.title,
+    mode: 'accessibility',
+    source: 'cdp',
+    tree,
+    refs
+  };
+}
 
-      target.dispatchEvent(new DragEvent('dragenter', {
-        bubbles: true, cancelable: true, clientX: tgtX, clientY: tgtY, dataTransfer
-      }));
+// Give the elements behind backend DOM node IDs their snapshot refs.
+// Marks them over CDP, then assigns refs in the extension's page world so they share the ref counter.
+async function stampRefs(tabId, backendNodeIds) {
+  if (backendNodeIds.length === 0) return {};
+
+  await cdp(tabId, 'DOM.getDocument', { depth: 0 });
+  const { nodeIds } = await cdp(tabId, 'DOM.pushNodesByBackendIdsToFrontend', { backendNodeIds });
+  for (let i = 0; i < nodeIds.length; i++) {
+    if (!nodeIds[i]) continue;
+    await cdp(tabId, 'DOM.setAttributeValue', {
+      nodeId: nodeIds[i],
+      name: 'data-mcp-ax',
+      value: String(backendNodeIds[i])
+    }).catch(() => {}); // Non-element nodes can't take attributes
+  }
 
-      target.dispatchEvent(new DragEvent('dragover', {
-        bubbles: true, cancelable: true, clientX: tgtX, clientY: tgtY, dataTransfer
-      }));
+  await injectHelpers(tabId);
+  const results = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: () => {
+      const refs = {};
+      window.__mcpHelpers.queryAllDeep('[data-mcp-ax]').forEach(el => {
+        refs[el.getAttribute('data-mcp-ax')] = window.__mcpHelpers.refFor(el);
+        el.removeAttribute('data-mcp-ax');
+      });
+      return refs;
+    }
+  });
+  return results[0]?.result || {};
+}
 
-      target.dispatchEvent(new DragEvent('drop', {
-        bubbles: true, cancelable: true, clientX: tgtX, clientY: tgtY, dataTransfer
-      }));
+// Create a new tab
+// The tab opens blank so network capture is running before the first request
+async function createTab(url, windowId) {
+  const options = { url: 'about:blank' };
+  if (windowId) {
+    options.windowId = windowId;
+  }
+  const tab = await chrome.tabs.create(options);
+  await instrumentTab(tab.id);
+  if (url) {
+    await chrome.tabs.update(tab.id, { url });
+  }
+  return {
+    success: true,
+    tabId: tab.id,
+    windowId: tab.windowId,
+    url: url || tab.url
+  };
+}
 
-      source.dispatchEvent(new DragEvent('dragend', {
-        bubbles: true, cancelable: true, clientX: tgtX, clientY: tgtY, dataTransfer
-      }));
+// Create a new browser window, optionally emulating a device preset.
+// The window opens blank so emulation and network capture are in place before the first request.
+async function createWindow(url, device) {
+  const preset = device ? getDevicePreset(device) : null;
+  const options = { url: 'about:blank', focused: true };
+  if (preset && !preset.mobile) {
+    // Desktop presets size the real window; mobile ones are emulated inside it
+    options.width = preset.width;
+    options.height = preset.height;
+  }
+  const window = await chrome.windows.create(options);
+  const tabId = window.tabs?.[0]?.id;
 
-      return { success: true, source: srcSel, target: tgtSel };
-    },
-    args: [sourceSelector, targetSelector]
-  });
-  return results[0]?.result || { success: false, error: 'Script failed' };
+  let emulation = null;
+  if (preset) {
+    emulation = (await emulate({ device }, tabId)).emulation;
+  }
+  await instrumentTab(tabId);
+  if (url) {
+    await chrome.tabs.update(tabId, { url });
+  }
+  const result = {
+    success: true,
+    windowId: window.id,
+    tabId,
+    url: url || 'about:blank'
+  };
+  if (emulation) {
+    result.emulation = emulation;
+  }
+  return result;
 }
 
-// Handle browser dialogs (alert, confirm, prompt)
-async function handleDialog(action, promptText, explicitTabId) {
+// Close a browser window
+async function closeWindow(windowId) {
+  await chrome.windows.remove(windowId);
+  return {
+    success: true,
+    closedWindowId: windowId
+  };
+}
+
+// ========== Phase 2 Functions ==========
+
+// Hover over an element once it is visible, stable and not covered
+async function hover(target, explicitTabId, options = {}) {
   const tabId = resolveTabId(explicitTabId);
-  const results = await chrome.scripting.executeScript({
-    target: { tabId },
-    func: (act, txt) => {
-      // Override dialog functions to auto-handle
-      if (act === 'accept') {
-        window.__mcpDialogResult = txt || true;
-        window.alert = () => {};
-        window.confirm = () => true;
-        window.prompt = () => txt || '';
-      } else {
-        window.__mcpDialogResult = null;
-        window.alert = () => {};
-        window.confirm = () => false;
-        window.prompt = () => null;
-      }
-      return { success: true, action: act, note: 'Dialog handlers installed. Trigger the dialog now.' };
-    },
-    args: [action, promptText || null]
-  });
-  return results[0]?.result || { success: false, error: 'Script failed' };
+  const { selector, frameId } = await resolveTarget(tabId, target);
+  const result = await withInputMode(options.inputMode, async () => {
+    const point = await waitForActionablePoint(tabId, selector, 'hover', options, frameId);
+    if (!point.success) return point;
+    await cdp(tabId, 'Input.dispatchMouseEvent', { type: 'mouseMoved', x: point.x, y: point.y });
+    return { success: true, selector };
+  }, () => runWithHelpers(tabId, async (sel, opts) => {
+    const target = await window.__mcpHelpers.waitForActionable(sel, opts);
+    if (target.error) return { success: false, error: target.error };
+    const el = target.element;
+    const { x: centerX, y: centerY } = target;
+
+    // Dispatch mouse events for hover
+    el.dispatchEvent(new MouseEvent('mouseenter', { bubbles: true, clientX: centerX, clientY: centerY }));
+    el.dispatchEvent(new MouseEvent('mouseover', { bubbles: true, clientX: centerX, clientY: centerY }));
+    el.dispatchEvent(new MouseEvent('mousemove', { bubbles: true, clientX: centerX, clientY: centerY }));
+
+    return { success: true, selector: sel };
+  }, [selector, actionOptions('hover', options)], frameId));
+  return withRefError(result, target);
+}
+
+// Drag an element to another element
+async function drag(source, dropTarget, explicitTabId, options = {}) {
+  const tabId = resolveTabId(explicitTabId);
+  const { selector: sourceSelector, frameId } = await resolveTarget(tabId, source, 'source element');
+  const { selector: targetSelector, frameId: targetFrameId } = await resolveTarget(tabId, dropTarget, 'drop target');
+  if (frameId !== targetFrameId) {
+    throw new Error(`Source and drop target are in different frames (${frameId} and ${targetFrameId}). Dragging between frames is not supported.`);
+  }
+  const result = await withInputMode(options.inputMode, async () => {
+    const startTime = Date.now();
+    const from = await waitForActionablePoint(tabId, sourceSelector, 'hover', options, frameId);
+    if (!from.success) return { ...from, error: `Source ${from.error.charAt(0).toLowerCase()}${from.error.slice(1)}` };
+    // Only check the target is visible - scrolling it into view would move the source out from under the pointer.
+    // It gets whatever is left of the timeout.
+    const remaining = options.timeout && Math.max(options.timeout - (Date.now() - startTime), 0);
+    const to = await waitForActionablePoint(tabId, targetSelector, 'drop', { ...options, timeout: remaining }, frameId);
+    if (!to.success) return { ...to, error: `Target ${to.error.charAt(0).toLowerCase()}${to.error.slice(1)}` };
+    const { nativeDrag } = await cdpDrag(tabId, from, to);
+    return { success: true, source: sourceSelector, target: targetSelector, nativeDrag };
+  }, () => scriptDrag(tabId, sourceSelector, targetSelector, frameId));
+  return withRefError(result, result.error?.startsWith('Source') ? source : dropTarget);
+}
+
+// Drag using synthetic DragEvents
+async function scriptDrag(tabId, sourceSelector, targetSelector, frameId = 0) {
+  return runWithHelpers(tabId, (srcSel, tgtSel) => {
+    const { element: source, error: sourceError } = window.__mcpHelpers.locate(srcSel);
+    const { element: target, error: targetError } = window.__mcpHelpers.locate(tgtSel);
+
+    if (sourceError) return { success: false, error: `Source: ${sourceError}` };
+    if (targetError) return { success: false, error: `Target: ${targetError}` };
+    if (!source) return { success: false, error: `Source element not found: ${srcSel}` };
+    if (!target) return { success: false, error: `Target element not found: ${tgtSel}` };
+
+    const srcRect = source.getBoundingClientRect();
+    const tgtRect = target.getBoundingClientRect();
+
+    const srcX = srcRect.left + srcRect.width / 2;
+    const srcY = srcRect.top + srcRect.height / 2;
+    const tgtX = tgtRect.left + tgtRect.width / 2;
+    const tgtY = tgtRect.top + tgtRect.height / 2;
+
+    // Create and dispatch drag events
+    const dataTransfer = new DataTransfer();
+
+    source.dispatchEvent(new DragEvent('dragstart', {
+      bubbles: true, cancelable: true, clientX: srcX, clientY: srcY, dataTransfer
+    }));
+
+    target.dispatchEvent(new DragEvent('dragenter', {
+      bubbles: true, cancelable: true, clientX: tgtX, clientY: tgtY, dataTransfer
+    }));
+
+    target.dispatchEvent(new DragEvent('dragover', {
+      bubbles: true, cancelable: true, clientX: tgtX, clientY: tgtY, dataTransfer
+    }));
+
+    target.dispatchEvent(new DragEvent('drop', {
+      bubbles: true, cancelable: true, clientX: tgtX, clientY: tgtY, dataTransfer
+    }));
+
+    source.dispatchEvent(new DragEvent('dragend', {
+      bubbles: true, cancelable: true, clientX: tgtX, clientY: tgtY, dataTransfer
+    }));
+
+    return { success: true, source: srcSel, target: tgtSel };
+  }, [sourceSelector, targetSelector], frameId);
 }
 
 // Close a tab
@@ -746,6 +1508,7 @@ async function closeTab(tabId) {
     throw new Error('No tab specified and no tab connected');
   }
 
+  await clearNetworkEmulation(targetTabId);
   await chrome.tabs.remove(targetTabId);
 
   // Clean up if we closed the connected tab
@@ -759,69 +1522,137 @@ async function closeTab(tabId) {
 // ========== Phase 3 Functions ==========
 
 // Scroll the page or element
-async function scroll(direction, amount, selector, explicitTabId) {
+async function scroll(direction, amount, target, explicitTabId) {
   const tabId = resolveTabId(explicitTabId);
+  const { selector, frameId } = target?.selector || target?.ref
+    ? await resolveTarget(tabId, target)
+    : { selector: null, frameId: await resolveFrameId(tabId, target) };
   const scrollAmount = amount || 500;
 
-  const results = await chrome.scripting.executeScript({
-    target: { tabId },
-    func: (dir, amt, sel) => {
-      const el = sel ? document.querySelector(sel) : window;
-      if (sel && !el) return { success: false, error: `Element not found: ${sel}` };
-
-      const target = sel ? el : document.documentElement;
-
-      let x = 0, y = 0;
-      switch (dir) {
-        case 'up': y = -amt; break;
-        case 'down': y = amt; break;
-        case 'left': x = -amt; break;
-        case 'right': x = amt; break;
-      }
+  const result = await runWithHelpers(tabId, (dir, amt, sel) => {
+    const found = sel ? window.__mcpHelpers.locate(sel) : { element: window };
+    if (found.error) return { success: false, error: found.error };
+    const el = found.element;
+    if (sel && !el) return { success: false, error: `Element not found: ${sel}` };
 
-      if (sel) {
-        el.scrollBy(x, y);
-      } else {
-        window.scrollBy(x, y);
-      }
+    const target = sel ? el : document.documentElement;
 
-      return { success: true, direction: dir, amount: amt };
-    },
-    args: [direction, scrollAmount, selector || null]
-  });
-  return results[0]?.result || { success: false, error: 'Script failed' };
+    let x = 0, y = 0;
+    switch (dir) {
+      case 'up': y = -amt; break;
+      case 'down': y = amt; break;
+      case 'left': x = -amt; break;
+      case 'right': x = amt; break;
+    }
+
+    if (sel) {
+      el.scrollBy(x, y);
+    } else {
+      window.scrollBy(x, y);
+    }
+
+    return { success: true, direction: dir, amount: amt };
+  }, [direction, scrollAmount, selector], frameId);
+  return withRefError(result, target);
 }
 
 // Wait for a selector to appear
-async function waitForSelector(selector, timeout, explicitTabId) {
+async function waitForSelector(selector, options = {}, explicitTabId) {
   const tabId = resolveTabId(explicitTabId);
-  const maxTime = timeout || 10000;
+  const maxTime = options.timeout || 10000;
+  const frameId = await resolveFrameId(tabId, options);
 
-  const results = await chrome.scripting.executeScript({
-    target: { tabId },
-    func: async (sel, max) => {
-      const startTime = Date.now();
+  return runWithHelpers(tabId, (sel, max, reqId) => window.__mcpHelpers.trackWait(reqId, async () => {
+    const startTime = Date.now();
+
+    while (Date.now() - startTime < max) {
+      // Any match will do - several matches aren't an error here
+      if (window.__mcpHelpers.findAll(sel).length > 0) {
+        return { success: true, selector: sel, found: true, elapsed: Date.now() - startTime };
+      }
+      if (window.__mcpHelpers.isCancelled(reqId)) {
+        return { success: false, error: 'Cancelled', elapsed: Date.now() - startTime };
+      }
+      await new Promise(r => setTimeout(r, 100));
+    }
 
-      while (Date.now() - startTime < max) {
-        const el = document.querySelector(sel);
-        if (el) {
-          return { success: true, selector: sel, found: true, elapsed: Date.now() - startTime };
+    return { success: false, error: `Timeout waiting for selector: ${sel}`, elapsed: max };
+  }), [selector, maxTime, options.requestId], frameId);
+}
+
+// Find the element a recorded action targeted, for replay. Tries the recorded selector, then each
+// candidate selector in order, and once those have had a second to match, the element fingerprint.
+// Returns the selector to use and the strategy that found it; healed is set when it isn't the recorded one.
+async function findRecordedElement(options, explicitTabId) {
+  const tabId = resolveTabId(explicitTabId);
+  const maxTime = options.timeout || 10000;
+  const frameId = await resolveFrameId(tabId, options);
+  const candidates = [
+    { strategy: 'recorded', selector: options.selector },
+    ...(options.candidates || []).filter(candidate => candidate.selector !== options.selector)
+  ];
+
+  return runWithHelpers(tabId, (recorded, candidateList, fingerprint, max, reqId) => window.__mcpHelpers.trackWait(reqId, async () => {
+    const helpers = window.__mcpHelpers;
+    const FINGERPRINT_AFTER_MS = 1000;
+    const startTime = Date.now();
+
+    while (true) {
+      for (const { strategy, selector } of candidateList) {
+        let matches = [];
+        try {
+          matches = helpers.findAll(selector);
+        } catch {
+          // A candidate that no longer parses just doesn't match
+        }
+        if (matches.length === 1) {
+          return { success: true, selector, strategy, healed: selector !== recorded };
         }
-        await new Promise(r => setTimeout(r, 100));
       }
 
-      return { success: false, error: `Timeout waiting for selector: ${sel}`, elapsed: max };
-    },
-    args: [selector, maxTime]
-  });
-  return results[0]?.result || { success: false, error: 'Script failed' };
+      // The fingerprint match gets fresh candidates; only ones that pick out exactly that element are kept
+      if (fingerprint && Date.now() - startTime >= FINGERPRINT_AFTER_MS) {
+        const match = helpers.findByFingerprint(fingerprint);
+        const fresh = match ? helpers.selectorCandidates(match.element, 3).filter(({ selector }) => {
+          try {
+            const matches = helpers.findAll(selector);
+            return matches.length === 1 && matches[0] === match.element;
+          } catch {
+            return false;
+          }
+        }) : [];
+        if (fresh.length) {
+          return {
+            success: true,
+            selector: fresh[0].selector,
+            strategy: 'fingerprint',
+            candidates: fresh,
+            score: Math.round(match.score * 100) / 100,
+            healed: true
+          };
+        }
+      }
+
+      if (helpers.isCancelled(reqId)) {
+        return { success: false, error: 'Cancelled' };
+      }
+      if (Date.now() - startTime >= max) {
+        return {
+          success: false,
+          error: `Element not found: none of ${candidateList.length} recorded selectors${fingerprint ? ' or the element fingerprint' : ''} matched (waited ${max}ms). Recorded selector: ${recorded}`
+        };
+      }
+      await new Promise(r => setTimeout(r, 100));
+    }
+  }), [options.selector, candidates, options.fingerprint || null, maxTime, options.requestId], frameId);
 }
 
 // Execute arbitrary JavaScript
-async function evaluate(code, explicitTabId) {
+async function evaluate(code, explicitTabId, options = {}) {
   const tabId = resolveTabId(explicitTabId);
+  const frameId = await resolveFrameId(tabId, options);
   const results = await chrome.scripting.executeScript({
-    target: { tabId },
+    target: frameTarget(tabId, frameId),
     world: 'MAIN', // Run in page context, not extension sandbox
     func: (jsCode) => {
       try {
@@ -878,299 +1709,2336 @@ async function setCookie(params, explicitTabId) {
   return { success: true, cookie: { name: params.name, value: params.value } };
 }
 
-// Get network requests (install interceptor on first call)
-async function getNetworkRequests(filter, explicitTabId) {
-  const tabId = resolveTabId(explicitTabId);
-  const results = await chrome.scripting.executeScript({
-    target: { tabId },
-    func: (filterPattern) => {
-      // Return captured requests if we've already injected
-      if (window.__mcpNetworkRequests) {
-        let requests = [...window.__mcpNetworkRequests];
-        window.__mcpNetworkRequests = []; // Clear after reading
-
-        if (filterPattern) {
-          requests = requests.filter(r => r.url.includes(filterPattern));
-        }
-
-        return { success: true, requests };
-      }
-
-      // Inject interceptor
-      window.__mcpNetworkRequests = [];
-
-      // Intercept fetch
-      const originalFetch = window.fetch;
-      window.fetch = async (...args) => {
-        const url = typeof args[0] === 'string' ? args[0] : args[0]?.url;
-        const method = args[1]?.method || 'GET';
-        const startTime = Date.now();
-
-        try {
-          const response = await originalFetch.apply(window, args);
-          window.__mcpNetworkRequests.push({
-            type: 'fetch',
-            url,
-            method,
-            status: response.status,
-            duration: Date.now() - startTime,
-            timestamp: startTime
-          });
-          return response;
-        } catch (err) {
-          window.__mcpNetworkRequests.push({
-            type: 'fetch',
-            url,
-            method,
-            error: err.message,
-            duration: Date.now() - startTime,
-            timestamp: startTime
-          });
-          throw err;
-        }
-      };
-
-      // Intercept XMLHttpRequest
-      const originalXHROpen = XMLHttpRequest.prototype.open;
-      const originalXHRSend = XMLHttpRequest.prototype.send;
-
-      XMLHttpRequest.prototype.open = function(method, url) {
-        this.__mcpMethod = method;
-        this.__mcpUrl = url;
-        this.__mcpStartTime = Date.now();
-        return originalXHROpen.apply(this, arguments);
-      };
-
-      XMLHttpRequest.prototype.send = function() {
-        this.addEventListener('loadend', () => {
-          window.__mcpNetworkRequests.push({
-            type: 'xhr',
-            url: this.__mcpUrl,
-            method: this.__mcpMethod,
-            status: this.status,
-            duration: Date.now() - this.__mcpStartTime,
-            timestamp: this.__mcpStartTime
-          });
-        });
-        return originalXHRSend.apply(this, arguments);
-      };
-
-      return { success: true, requests: [], note: 'Network interceptor installed. Call again to get requests.' };
-    },
-    args: [filter || null]
-  });
-  return results[0]?.result || { success: false, error: 'Script failed' };
-}
-
 // This function runs in the page context
-function injectFile(selector, fileName, fileContentBase64, mimeType) {
+async function injectFiles(selector, transferId, files, mode, waitOptions) {
+  // Bytes collected by appendUploadChunk
+  const parts = window.__mcpUploadParts?.[transferId] || [];
+  delete window.__mcpUploadParts?.[transferId];
   try {
-    const input = document.querySelector(selector);
-    if (!input) {
-      return { success: false, error: `Element not found: ${selector}` };
-    }
-
-    if (input.type !== 'file') {
-      return { success: false, error: `Element is not a file input: ${input.type}` };
-    }
-
-    // Decode base64 content
-    const binaryString = atob(fileContentBase64);
-    const bytes = new Uint8Array(binaryString.length);
-    for (let i = 0; i < binaryString.length; i++) {
-      bytes[i] = binaryString.charCodeAt(i);
+    const target = await window.__mcpHelpers.waitForActionable(selector, waitOptions);
+    if (target.error) {
+      return { success: false, error: target.error };
     }
+    const el = target.element;
 
-    // Create File object
-    const file = new File([bytes], fileName, { type: mimeType });
-
-    // Use DataTransfer to set files
     const dataTransfer = new DataTransfer();
-    dataTransfer.items.add(file);
-    input.files = dataTransfer.files;
-
-    // Dispatch change event
-    input.dispatchEvent(new Event('change', { bubbles: true }));
+    const fileObjects = files.map((file, index) => new File(parts[index] || [], file.name, { type: file.mimeType }));
+    fileObjects.forEach(file => dataTransfer.items.add(file));
+
+    if (mode === 'drop') {
+      // What a real drag from the desktop fires on the drop zone
+      for (const type of ['dragenter', 'dragover', 'drop']) {
+        el.dispatchEvent(new DragEvent(type, {
+          bubbles: true, cancelable: true, composed: true, clientX: target.x, clientY: target.y, dataTransfer
+        }));
+      }
+    } else {
+      if (el.type !== 'file') {
+        return { success: false, error: `Element is not a file input: ${el.type || el.tagName.toLowerCase()}. Use mode "drop" for drop zones.` };
+      }
+      if (fileObjects.length > 1 && !el.multiple) {
+        return { success: false, error: `File input does not accept multiple files (no "multiple" attribute), got ${fileObjects.length}` };
+      }
+      el.files = dataTransfer.files;
+      el.dispatchEvent(new Event('input', { bubbles: true }));
+      el.dispatchEvent(new Event('change', { bubbles: true }));
+    }
 
     return {
       success: true,
-      fileName,
-      fileSize: file.size,
-      mimeType
+      mode,
+      files: fileObjects.map(file => ({ fileName: file.name, fileSize: file.size, mimeType: file.type }))
     };
   } catch (err) {
     return { success: false, error: err.message };
   }
 }
 
-// ========== Recording Functions ==========
+// Decode one base64 chunk of an upload in the page and keep it until injectFiles runs
+function appendUploadChunk(transferId, fileIndex, base64) {
+  const binary = atob(base64 || '');
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  window.__mcpUploadParts = window.__mcpUploadParts || {};
+  const transfer = window.__mcpUploadParts[transferId] = window.__mcpUploadParts[transferId] || [];
+  (transfer[fileIndex] = transfer[fileIndex] || []).push(bytes);
+}
 
-// Start recording on current tab
-async function startRecording() {
-  const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-  if (!tabs[0]) throw new Error('No active tab');
+// ========== Frames ==========
 
-  recordingTabId = tabs[0].id;
-  isRecording = true;
-  currentRecording = [];
-  lastSaved = false;
+// executeScript target for one frame of a tab (frame 0 is the top document)
+function frameTarget(tabId, frameId = 0) {
+  return { tabId, frameIds: [frameId] };
+}
 
-  // Inject recorder script
-  await chrome.scripting.executeScript({
-    target: { tabId: recordingTabId },
-    files: ['recorder.js']
-  });
+// Snapshot ref for an element in a frame. Top frame refs stay unprefixed.
+function frameRef(frameId, ref) {
+  return frameId ? `f${frameId}${ref}` : ref;
+}
 
-  // Tell the recorder to start
-  await chrome.tabs.sendMessage(recordingTabId, { type: 'start_recording' });
+// Split a snapshot ref into its frame and the ref stamped in that frame's document
+function parseRef(ref) {
+  const match = /^f(\d+)(e\d+)$/.exec(ref);
+  return match ? { frameId: Number(match[1]), ref: match[2] } : { frameId: 0, ref };
+}
 
-  console.log('[Background] Recording started on tab', recordingTabId);
+// Prefix the refs in an accessibility tree with their frame
+function prefixTreeRefs(node, frameId) {
+  if (!node) return;
+  if (node.ref) node.ref = frameRef(frameId, node.ref);
+  (node.children || []).forEach(child => prefixTreeRefs(child, frameId));
 }
 
-// Stop recording
-async function stopRecording() {
-  if (recordingTabId) {
-    try {
-      await chrome.tabs.sendMessage(recordingTabId, { type: 'stop_recording' });
-    } catch (err) {
-      // Tab may have been closed
+// Resolve the frame a tool should run in: { frameId } from browser_list_frames,
+// or { frame } - a CSS selector for an <iframe> in the top document. Defaults to the top frame.
+async function resolveFrameId(tabId, target) {
+  if (target?.frameId !== undefined && target?.frameId !== null) {
+    const frame = await chrome.webNavigation.getFrame({ tabId, frameId: target.frameId });
+    if (!frame) {
+      throw new Error(`Frame ${target.frameId} not found in tab ${tabId}. Use browser_list_frames to see its frames.`);
     }
+    return target.frameId;
   }
-
-  isRecording = false;
-  console.log('[Background] Recording stopped,', currentRecording.length, 'actions captured');
+  if (!target?.frame) {
+    return 0;
+  }
+  const result = await runWithHelpers(tabId, (sel) => {
+    const { element: el, error } = window.__mcpHelpers.locate(sel);
+    if (error) return { success: false, error };
+    if (!el) return { success: false, error: `Frame not found: ${sel}` };
+    if (el.tagName !== 'IFRAME' && el.tagName !== 'FRAME') {
+      return { success: false, error: `Not an iframe or frame element: ${sel}` };
+    }
+    // Works for cross-origin frames too - it only needs the element
+    const frameId = chrome.runtime.getFrameId(el);
+    if (frameId < 0) return { success: false, error: `Frame has no document loaded: ${sel}` };
+    return { success: true, frameId };
+  }, [target.frame]);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.frameId;
 }
 
-// Save recording with a name
-async function saveRecording(name) {
-  if (currentRecording.length === 0) {
-    throw new Error('No actions to save');
-  }
+// List the frames of a tab: the top document and every (nested) iframe
+async function listFrames(explicitTabId) {
+  const tabId = resolveTabId(explicitTabId);
+  const frames = await chrome.webNavigation.getAllFrames({ tabId }) || [];
 
-  // Load existing recordings
-  const result = await chrome.storage.local.get('recordings');
-  const recordings = result.recordings || {};
+  // Frame names live in each frame's window
+  const names = {};
+  try {
+    const results = await chrome.scripting.executeScript({
+      target: { tabId, allFrames: true },
+      func: () => window.name
+    });
+    results.forEach(({ frameId, result }) => { names[frameId] = result; });
+  } catch (err) {
+    // Pages we can't script (chrome://, web store) still get listed, without names
+  }
 
-  // Save with name as key
-  recordings[name] = {
-    name,
-    actions: currentRecording,
-    createdAt: Date.now(),
-    url: currentRecording[0]?.url || ''
+  return {
+    success: true,
+    tabId,
+    frames: frames
+      .sort((a, b) => a.frameId - b.frameId)
+      .map(frame => {
+        const info = {
+          frameId: frame.frameId,
+          parentFrameId: frame.parentFrameId === -1 ? null : frame.parentFrameId,
+          url: frame.url,
+          name: names[frame.frameId] || null
+        };
+        if (frame.errorOccurred) info.errorOccurred = true;
+        return info;
+      })
   };
-
-  await chrome.storage.local.set({ recordings });
-
-  // Clear current recording
-  currentRecording = [];
-  lastSaved = true;
-  recordingTabId = null;
-
-  console.log('[Background] Recording saved as:', name);
-  return { success: true, name, actionCount: recordings[name].actions.length };
 }
 
-// Get all saved recordings
-async function getRecordings() {
-  const result = await chrome.storage.local.get('recordings');
-  return result.recordings || {};
+// Position of a frame's viewport inside the tab's viewport, for CDP input and clips.
+// Walks up the frame tree adding each <iframe>'s content box, scrolling it into view on the way.
+async function getFrameOffset(tabId, frameId) {
+  let x = 0;
+  let y = 0;
+  let current = frameId;
+  while (current) {
+    const frame = await chrome.webNavigation.getFrame({ tabId, frameId: current });
+    if (!frame) {
+      throw new Error(`Frame ${current} not found in tab ${tabId}`);
+    }
+    const offset = await runWithHelpers(tabId, (childFrameId) => {
+      const el = window.__mcpHelpers.queryAllDeep('iframe, frame')
+        .find(candidate => chrome.runtime.getFrameId(candidate) === childFrameId);
+      if (!el) return { success: false };
+      el.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+      const rect = el.getBoundingClientRect();
+      const style = getComputedStyle(el);
+      return {
+        success: true,
+        x: rect.left + el.clientLeft + parseFloat(style.paddingLeft),
+        y: rect.top + el.clientTop + parseFloat(style.paddingTop)
+      };
+    }, [current], frame.parentFrameId);
+    if (!offset.success) {
+      throw new Error(`Could not find the element for frame ${current} in its parent document`);
+    }
+    x += offset.x;
+    y += offset.y;
+    current = frame.parentFrameId;
+  }
+  return { x, y };
 }
 
-// Delete a recording
-async function deleteRecording(name) {
-  const result = await chrome.storage.local.get('recordings');
-  const recordings = result.recordings || {};
+// ========== Navigation Waiting ==========
 
-  if (!recordings[name]) {
-    throw new Error(`Recording "${name}" not found`);
-  }
+// Load states a navigation can wait for, in the order they are reached
+const LOAD_STATES = ['commit', 'domcontentloaded', 'load', 'networkidle'];
+const DEFAULT_NAVIGATION_TIMEOUT = 20000;
+const NETWORK_IDLE_MS = 500; // No requests in flight for this long = network idle
 
-  delete recordings[name];
-  await chrome.storage.local.set({ recordings });
+// In-flight requests of tabs waiting for networkidle: tabId -> { requests: Set of requestIds, lastChange, waiters }.
+// Only tabs with a wait in progress are tracked.
+const networkActivity = new Map();
 
-  return { success: true, deleted: name };
+// Start tracking a tab's requests. Returns a function that stops this wait's tracking.
+function watchNetworkActivity(tabId) {
+  if (!networkActivity.has(tabId)) {
+    networkActivity.set(tabId, { requests: new Set(), lastChange: Date.now(), waiters: 0 });
+  }
+  networkActivity.get(tabId).waiters++;
+  return () => {
+    const activity = networkActivity.get(tabId);
+    if (activity && --activity.waiters <= 0) {
+      networkActivity.delete(tabId);
+    }
+  };
 }
 
-// Get a single recording by name
-async function getRecordingByName(name) {
-  const recordings = await getRecordings();
-  if (!recordings[name]) {
-    throw new Error(`Recording "${name}" not found`);
+function trackRequest(tabId, requestId, inFlight) {
+  const activity = networkActivity.get(tabId);
+  if (!activity) return;
+  if (inFlight) {
+    activity.requests.add(requestId);
+  } else {
+    activity.requests.delete(requestId);
   }
-  return recordings[name];
+  activity.lastChange = Date.now();
 }
 
-// Replay a recording
-async function replayRecording(name) {
-  const recording = await getRecordingByName(name);
-  const results = [];
+chrome.webRequest.onBeforeRequest.addListener(
+  (details) => trackRequest(details.tabId, details.requestId, true),
+  { urls: ['<all_urls>'] }
+);
+chrome.webRequest.onCompleted.addListener(
+  (details) => trackRequest(details.tabId, details.requestId, false),
+  { urls: ['<all_urls>'] }
+);
+chrome.webRequest.onErrorOccurred.addListener(
+  (details) => trackRequest(details.tabId, details.requestId, false),
+  { urls: ['<all_urls>'] }
+);
+
+// Start watching a tab for its next top-level navigation. Call before triggering the navigation.
+// Resolves with the final URL, HTTP status and redirect chain once the waitUntil state is reached.
+// Aborting the signal stops watching.
+function waitForNavigation(tabId, waitUntil = 'load', timeout = DEFAULT_NAVIGATION_TIMEOUT, signal = null) {
+  if (!LOAD_STATES.includes(waitUntil)) {
+    throw new Error(`Unknown waitUntil: ${waitUntil}. Use one of: ${LOAD_STATES.join(', ')}`);
+  }
 
-  for (const action of recording.actions) {
-    try {
-      let result;
-
-      switch (action.type) {
-        case 'navigate':
-          result = await navigate(action.url);
-          // Wait for page to load
-          await new Promise(r => setTimeout(r, 1000));
-          break;
-
-        case 'click':
-          result = await click(action.selector);
-          await new Promise(r => setTimeout(r, 300));
-          break;
-
-        case 'type':
-          result = await type(action.selector, action.value);
-          await new Promise(r => setTimeout(r, 100));
-          break;
-
-        case 'select':
-          result = await selectOption(action.selector, action.value);
-          await new Promise(r => setTimeout(r, 100));
-          break;
-
-        case 'keypress':
-          result = await pressKey(action.key, action.selector);
-          await new Promise(r => setTimeout(r, 100));
-          break;
-
-        case 'upload':
-          // For uploads, we need the file path - caller must provide it
-          result = { skipped: true, reason: 'File uploads require file path parameter' };
-          break;
-
-        default:
-          result = { skipped: true, reason: `Unknown action type: ${action.type}` };
-      }
+  const startTime = Date.now();
+  const state = { url: null, status: null, redirects: [], started: false };
+  const removers = [];
+  let timer = null;
+  let idleTimer = null;
+  if (waitUntil === 'networkidle') {
+    removers.push(watchNetworkActivity(tabId));
+  }
 
-      results.push({
-        action: action.type,
-        selector: action.selector,
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      clearTimeout(timer);
+      clearInterval(idleTimer);
+      removers.forEach(remove => remove());
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => fail(`Stopped waiting for navigation on tab ${tabId}`);
+    signal?.addEventListener('abort', onAbort);
+    const finish = async (sameDocument = false) => {
+      cleanup();
+      const tab = await chrome.tabs.get(tabId).catch(() => null);
+      resolve({
         success: true,
-        result
+        tabId,
+        url: tab?.url || state.url,
+        status: state.status,
+        redirects: state.redirects,
+        waitUntil,
+        sameDocument,
+        elapsed: Date.now() - startTime
       });
-    } catch (err) {
-      results.push({
-        action: action.type,
-        selector: action.selector,
-        success: false,
-        error: err.message
-      });
-    }
-  }
-
-  return {
-    success: true,
-    recording: name,
-    actionsExecuted: results.length,
-    results
-  };
-}
-
-// Handle messages from popup and content scripts
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    };
+    const fail = (message) => {
+      cleanup();
+      reject(new Error(message));
+    };
+    const listen = (event, callback, ...extra) => {
+      event.addListener(callback, ...extra);
+      removers.push(() => event.removeListener(callback));
+    };
+    const isTopFrame = (details) => details.tabId === tabId && details.frameId === 0;
+    const reached = (loadState) => LOAD_STATES.indexOf(loadState) >= LOAD_STATES.indexOf(waitUntil);
+
+    timer = setTimeout(() => {
+      fail(`Timed out after ${timeout}ms waiting for "${waitUntil}" on tab ${tabId}` +
+        (state.url ? ` (last URL: ${state.url})` : ''));
+    }, timeout);
+
+    const mainFrameFilter = { urls: ['<all_urls>'], types: ['main_frame'], tabId };
+    listen(chrome.webRequest.onBeforeRedirect, (details) => {
+      state.redirects.push({ url: details.url, status: details.statusCode, redirectUrl: details.redirectUrl });
+    }, mainFrameFilter);
+    listen(chrome.webRequest.onResponseStarted, (details) => {
+      state.status = details.statusCode;
+    }, mainFrameFilter);
+
+    listen(chrome.webNavigation.onBeforeNavigate, (details) => {
+      if (isTopFrame(details)) state.started = true;
+    });
+    listen(chrome.webNavigation.onCommitted, (details) => {
+      if (!isTopFrame(details)) return;
+      state.started = true;
+      state.url = details.url;
+      if (reached('commit')) finish();
+    });
+    listen(chrome.webNavigation.onDOMContentLoaded, (details) => {
+      if (isTopFrame(details) && state.started && reached('domcontentloaded')) finish();
+    });
+    listen(chrome.webNavigation.onCompleted, (details) => {
+      if (!isTopFrame(details) || !state.started) return;
+      if (waitUntil !== 'networkidle') {
+        finish();
+        return;
+      }
+      idleTimer = setInterval(() => {
+        const activity = networkActivity.get(tabId);
+        if (!activity || (activity.requests.size === 0 && Date.now() - activity.lastChange >= NETWORK_IDLE_MS)) {
+          finish();
+        }
+      }, 100);
+    });
+    listen(chrome.webNavigation.onErrorOccurred, (details) => {
+      if (isTopFrame(details)) fail(`Navigation to ${details.url} failed: ${details.error}`);
+    });
+
+    // Same-document navigations (pushState, hash changes) have no load events. Once a new document
+    // is on its way, its own history updates (SPAs calling replaceState while hydrating) don't count.
+    const onSameDocument = (details) => {
+      if (!isTopFrame(details)) return;
+      state.url = details.url;
+      if (!state.started) finish(true);
+    };
+    listen(chrome.webNavigation.onHistoryStateUpdated, onSameDocument);
+    listen(chrome.webNavigation.onReferenceFragmentUpdated, onSameDocument);
+  });
+}
+
+// Run a navigation trigger and wait for it to reach the requested load state
+async function navigateAndWait(tabId, options, trigger) {
+  const controller = new AbortController();
+  // Also stop waiting if the server cancels the request
+  const signal = options.signal ? AbortSignal.any([controller.signal, options.signal]) : controller.signal;
+  const navigation = waitForNavigation(tabId, options.waitUntil, options.timeout, signal);
+  try {
+    await trigger();
+  } catch (err) {
+    controller.abort();
+    navigation.catch(() => {});
+    throw err;
+  }
+  return navigation;
+}
+
+// ========== Debugger (Chrome DevTools Protocol) ==========
+
+const CDP_VERSION = '1.3';
+
+// Tabs chrome.debugger is attached to
+const attachedTabs = new Set();
+
+// CDP event listeners: tabId -> Set of (method, params) callbacks
+const cdpListeners = new Map();
+
+// Attach the debugger to a tab (no-op if already attached)
+async function attachDebugger(tabId) {
+  if (attachedTabs.has(tabId)) return;
+  try {
+    await chrome.debugger.attach({ tabId }, CDP_VERSION);
+  } catch (err) {
+    // We may still be attached from before a service worker restart
+    if (!err.message?.includes('already attached')) {
+      throw new Error(`Could not attach debugger to tab ${tabId}: ${err.message}`);
+    }
+  }
+  attachedTabs.add(tabId);
+  console.log('[Background] Debugger attached to tab:', tabId);
+  // A debugged tab's console costs nothing extra to capture
+  startConsoleCapture(tabId).catch(err => {
+    console.log('[Background] Console capture unavailable for tab:', tabId, err.message);
+  });
+}
+
+// Detach the debugger from a tab
+async function detachDebugger(tabId) {
+  if (!attachedTabs.has(tabId)) return;
+  attachedTabs.delete(tabId);
+  stopConsoleCapture(tabId);
+  try {
+    await chrome.debugger.detach({ tabId });
+  } catch (err) {
+    // Tab may have been closed
+  }
+}
+
+// Send a CDP command to a tab, attaching first if needed
+async function cdp(tabId, method, params = {}) {
+  await attachDebugger(tabId);
+  return chrome.debugger.sendCommand({ tabId }, method, params);
+}
+
+// Subscribe to CDP events for a tab. Returns an unsubscribe function.
+function onCdpEvent(tabId, callback) {
+  if (!cdpListeners.has(tabId)) {
+    cdpListeners.set(tabId, new Set());
+  }
+  cdpListeners.get(tabId).add(callback);
+  return () => cdpListeners.get(tabId)?.delete(callback);
+}
+
+chrome.debugger.onEvent.addListener((source, method, params) => {
+  const listeners = cdpListeners.get(source.tabId);
+  if (!listeners) return;
+  for (const callback of listeners) {
+    try {
+      callback(method, params);
+    } catch (err) {
+      console.error('[Background] CDP listener error:', err);
+    }
+  }
+});
+
+chrome.debugger.onDetach.addListener((source, reason) => {
+  attachedTabs.delete(source.tabId);
+  stopNetworkCapture(source.tabId);
+  stopConsoleCapture(source.tabId);
+  clearRoutes(source.tabId);
+  networkEmulation.delete(source.tabId);
+  deviceEmulation.delete(source.tabId);
+  stopDialogWatch(source.tabId);
+  stopDownloadWatch(source.tabId);
+  console.log('[Background] Debugger detached from tab:', source.tabId, reason);
+});
+
+// Start the per-tab CDP monitors (network capture, dialog history, download sources) on a tab opened or connected by a tool.
+// Pages like chrome:// can't be debugged; capture then starts on the first network tool call that can.
+async function instrumentTab(tabId) {
+  startDownloadWatch(tabId);
+  try {
+    await startNetworkCapture(tabId);
+    await startDialogWatch(tabId);
+  } catch (err) {
+    console.log('[Background] Tab cannot be debugged:', tabId, err.message);
+  }
+}
+
+// ========== Network Capture (CDP) ==========
+
+// Captured traffic: tabId -> { entries, byRequestId, nextSeq, dropped, marks, active, startedAt, unsubscribe }
+// marks: name -> cursor, so traffic can be exported from a point in a flow
+const networkCaptures = new Map();
+const MAX_NETWORK_ENTRIES = 2000;
+const MAX_WEBSOCKET_FRAMES = 200;
+// Larger response bodies are truncated
+const MAX_BODY_SIZE = 1024 * 1024;
+// Bodies sent back in one response, all together - the rest are omitted so the message stays well under
+// the server's WebSocket message limit
+const MAX_BODIES_TOTAL_SIZE = 20 * 1024 * 1024;
+
+// Start recording every request in a tab with the debugger Network domain (no-op if already running)
+async function startNetworkCapture(tabId) {
+  let capture = networkCaptures.get(tabId);
+  if (capture?.active) return capture;
+  if (!capture) {
+    capture = { entries: [], byRequestId: new Map(), nextSeq: 1, dropped: 0, marks: new Map() };
+    networkCaptures.set(tabId, capture);
+  }
+  capture.unsubscribe?.();
+  capture.unsubscribe = onCdpEvent(tabId, (method, params) => handleNetworkEvent(capture, method, params));
+  try {
+    await cdp(tabId, 'Network.enable', { maxPostDataSize: 65536 });
+  } catch (err) {
+    capture.unsubscribe();
+    capture.unsubscribe = null;
+    throw err;
+  }
+  capture.active = true;
+  capture.startedAt = Date.now();
+  console.log('[Background] Network capture started for tab:', tabId);
+  return capture;
+}
+
+// Stop listening when the debugger goes away. Entries captured so far are kept.
+function stopNetworkCapture(tabId) {
+  const capture = networkCaptures.get(tabId);
+  if (!capture) return;
+  capture.unsubscribe?.();
+  capture.unsubscribe = null;
+  capture.active = false;
+}
+
+// Add a request entry, dropping the oldest past the limit
+function addNetworkEntry(capture, entry) {
+  entry.seq = capture.nextSeq++;
+  capture.entries.push(entry);
+  capture.byRequestId.set(entry.requestId, entry);
+  if (capture.entries.length > MAX_NETWORK_ENTRIES) {
+    const removed = capture.entries.shift();
+    if (capture.byRequestId.get(removed.requestId) === removed) {
+      capture.byRequestId.delete(removed.requestId);
+    }
+    capture.dropped++;
+  }
+}
+
+// Copy response fields from a CDP Response object onto an entry
+function applyResponse(entry, response) {
+  entry.status = response.status;
+  entry.statusText = response.statusText;
+  entry.responseHeaders = { ...entry.responseHeaders, ...response.headers };
+  entry.mimeType = response.mimeType;
+  entry.protocol = response.protocol;
+  entry.remoteAddress = response.remoteIPAddress ? `${response.remoteIPAddress}:${response.remotePort}` : undefined;
+  entry.fromCache = entry.fromCache || response.fromDiskCache || response.fromPrefetchCache || false;
+  entry.fromServiceWorker = response.fromServiceWorker || false;
+  entry.timing = response.timing;
+}
+
+// Update captured entries from a CDP Network event
+function handleNetworkEvent(capture, method, params) {
+  const entry = capture.byRequestId.get(params.requestId);
+
+  switch (method) {
+    case 'Network.requestWillBeSent': {
+      // Redirects reuse the request id: close out the previous hop first
+      if (params.redirectResponse && entry) {
+        applyResponse(entry, params.redirectResponse);
+        entry.state = 'redirected';
+        entry.redirectURL = params.request.url;
+        entry.endTimestamp = params.timestamp;
+      }
+      addNetworkEntry(capture, {
+        requestId: params.requestId,
+        url: params.request.url,
+        method: params.request.method,
+        resourceType: params.type || 'Other',
+        requestHeaders: { ...params.request.headers },
+        postData: params.request.postData,
+        initiator: params.initiator?.type,
+        frameId: params.frameId,
+        documentURL: params.documentURL,
+        startedDateTime: new Date(params.wallTime * 1000).toISOString(),
+        timestamp: params.timestamp,
+        state: 'pending',
+        status: null
+      });
+      break;
+    }
+
+    case 'Network.requestWillBeSentExtraInfo':
+      // Full headers as sent, including cookies
+      if (entry) entry.requestHeaders = { ...entry.requestHeaders, ...params.headers };
+      break;
+
+    case 'Network.requestServedFromCache':
+      if (entry) entry.fromCache = true;
+      break;
+
+    case 'Network.responseReceived':
+      if (entry) {
+        applyResponse(entry, params.response);
+        entry.resourceType = params.type || entry.resourceType;
+      }
+      break;
+
+    case 'Network.responseReceivedExtraInfo':
+      // Raw headers as received, including Set-Cookie
+      if (entry) entry.responseHeaders = { ...entry.responseHeaders, ...params.headers };
+      break;
+
+    case 'Network.loadingFinished':
+      if (entry) {
+        entry.state = 'finished';
+        entry.encodedDataLength = params.encodedDataLength;
+        entry.endTimestamp = params.timestamp;
+      }
+      break;
+
+    case 'Network.loadingFailed':
+      if (entry) {
+        entry.state = 'failed';
+        entry.failureReason = params.blockedReason ? `blocked: ${params.blockedReason}` : params.errorText;
+        entry.canceled = params.canceled || false;
+        entry.resourceType = params.type || entry.resourceType;
+        entry.endTimestamp = params.timestamp;
+      }
+      break;
+
+    case 'Network.webSocketCreated':
+      addNetworkEntry(capture, {
+        requestId: params.requestId,
+        url: params.url,
+        method: 'GET',
+        resourceType: 'WebSocket',
+        initiator: params.initiator?.type,
+        startedDateTime: new Date().toISOString(),
+        state: 'pending',
+        status: null,
+        frames: []
+      });
+      break;
+
+    case 'Network.webSocketWillSendHandshakeRequest':
+      if (entry) {
+        entry.requestHeaders = { ...params.request.headers };
+        entry.timestamp = params.timestamp;
+        entry.startedDateTime = new Date(params.wallTime * 1000).toISOString();
+      }
+      break;
+
+    case 'Network.webSocketHandshakeResponseReceived':
+      if (entry) {
+        entry.status = params.response.status;
+        entry.statusText = params.response.statusText;
+        entry.responseHeaders = { ...params.response.headers };
+        entry.state = 'open';
+      }
+      break;
+
+    case 'Network.webSocketFrameSent':
+    case 'Network.webSocketFrameReceived':
+      if (entry?.frames) {
+        entry.frames.push({
+          direction: method === 'Network.webSocketFrameSent' ? 'sent' : 'received',
+          opcode: params.response.opcode,
+          payload: params.response.payloadData.slice(0, 10000),
+          timestamp: params.timestamp
+        });
+        if (entry.frames.length > MAX_WEBSOCKET_FRAMES) {
+          entry.frames.shift();
+          entry.droppedFrames = (entry.droppedFrames || 0) + 1;
+        }
+      }
+      break;
+
+    case 'Network.webSocketFrameError':
+      if (entry) entry.failureReason = params.errorMessage;
+      break;
+
+    case 'Network.webSocketClosed':
+      if (entry) {
+        entry.state = entry.failureReason ? 'failed' : 'closed';
+        entry.endTimestamp = params.timestamp;
+      }
+      break;
+  }
+}
+
+// Round to microseconds, keeping -1 for "didn't happen"
+function roundMs(ms) {
+  return ms >= 0 ? Math.round(ms * 1000) / 1000 : -1;
+}
+
+// Break CDP ResourceTiming into phases in milliseconds (-1 when a phase didn't happen)
+function timingPhases(entry) {
+  const t = entry.timing;
+  const total = entry.endTimestamp && entry.timestamp ? (entry.endTimestamp - entry.timestamp) * 1000 : -1;
+  if (!t) {
+    return { total: roundMs(total) };
+  }
+  const span = (start, end) => (start >= 0 && end >= 0 ? roundMs(end - start) : -1);
+  // Time from the request starting to the first network activity
+  const firstActivity = [t.dnsStart, t.connectStart, t.sendStart].find(time => time >= 0) ?? 0;
+  const queued = (t.requestTime - entry.timestamp) * 1000;
+  const responseEnd = entry.endTimestamp ? (entry.endTimestamp - t.requestTime) * 1000 : -1;
+  return {
+    blocked: roundMs(queued + firstActivity),
+    dns: span(t.dnsStart, t.dnsEnd),
+    connect: span(t.connectStart, t.connectEnd),
+    ssl: span(t.sslStart, t.sslEnd),
+    send: span(t.sendStart, t.sendEnd),
+    wait: span(t.sendEnd, t.receiveHeadersEnd),
+    receive: responseEnd >= 0 ? roundMs(responseEnd - t.receiveHeadersEnd) : -1,
+    total: roundMs(total)
+  };
+}
+
+// Does an entry match a status filter: 404, "4xx", or "failed"
+function matchesStatus(entry, status) {
+  const value = String(status).toLowerCase();
+  if (value === 'failed') return entry.state === 'failed';
+  if (/^\dxx$/.test(value)) return entry.status != null && Math.floor(entry.status / 100) === Number(value[0]);
+  return entry.status === Number(value);
+}
+
+// Fetch a response body while the browser still has it.
+// budget ({ remaining, omitted }) is shared by the bodies of one response; once it runs out, bodies are omitted.
+async function getResponseBody(tabId, entry, budget) {
+  if (entry.state !== 'finished') return null;
+  if (budget.remaining <= 0) {
+    budget.omitted++;
+    return { omitted: true };
+  }
+  try {
+    let { body, base64Encoded } = await cdp(tabId, 'Network.getResponseBody', { requestId: entry.requestId });
+    const truncated = body.length > MAX_BODY_SIZE;
+    if (truncated) {
+      body = body.slice(0, MAX_BODY_SIZE);
+    }
+    if (body.length > budget.remaining) {
+      budget.remaining = 0;
+      budget.omitted++;
+      return { omitted: true };
+    }
+    budget.remaining -= body.length;
+    return truncated ? { body, base64Encoded, truncated } : { body, base64Encoded };
+  } catch (err) {
+    // Evicted from the buffer, or a response with no body (redirect, 204)
+    return { error: err.message };
+  }
+}
+
+// Size limit for the response bodies of one response
+function bodyBudget() {
+  return { remaining: MAX_BODIES_TOTAL_SIZE, omitted: 0 };
+}
+
+// Remember the current position in a tab's capture under a name
+async function markNetwork(name, explicitTabId) {
+  const tabId = resolveTabId(explicitTabId);
+  const capture = await startNetworkCapture(tabId);
+  const mark = name || `mark-${capture.marks.size + 1}`;
+  const cursor = capture.nextSeq - 1;
+  capture.marks.set(mark, cursor);
+  return { success: true, tabId, mark, cursor };
+}
+
+// Turn a mark name or cursor number into a cursor
+function resolveNetworkCursor(capture, since) {
+  if (since == null || since === '') return 0;
+  if (capture.marks.has(since)) return capture.marks.get(since);
+  if (!isNaN(Number(since))) return Number(since);
+  throw new Error(`Unknown network mark: "${since}". Marks: ${[...capture.marks.keys()].join(', ') || 'none'}`);
+}
+
+// CDP header objects join repeated headers with newlines
+function toHarHeaders(headers = {}) {
+  const list = [];
+  for (const [name, value] of Object.entries(headers)) {
+    for (const line of String(value).split('\n')) {
+      list.push({ name, value: line });
+    }
+  }
+  return list;
+}
+
+function toHarCookies(headers = {}, headerName) {
+  const header = Object.entries(headers).find(([name]) => name.toLowerCase() === headerName)?.[1];
+  if (!header) return [];
+  if (headerName === 'cookie') {
+    return header.split(';').map(pair => pair.trim()).filter(Boolean).map(pair => {
+      const index = pair.indexOf('=');
+      return { name: pair.slice(0, index), value: pair.slice(index + 1) };
+    });
+  }
+  // set-cookie: one cookie per line, attributes after the first ";"
+  return header.split('\n').map(line => {
+    const [pair, ...attributes] = line.split(';').map(part => part.trim());
+    const index = pair.indexOf('=');
+    const cookie = { name: pair.slice(0, index), value: pair.slice(index + 1) };
+    for (const attribute of attributes) {
+      const [key, val] = attribute.split('=');
+      switch (key.toLowerCase()) {
+        case 'path': cookie.path = val; break;
+        case 'domain': cookie.domain = val; break;
+        case 'expires': cookie.expires = new Date(val).toISOString(); break;
+        case 'httponly': cookie.httpOnly = true; break;
+        case 'secure': cookie.secure = true; break;
+      }
+    }
+    return cookie;
+  });
+}
+
+function toHarHttpVersion(protocol) {
+  const versions = { 'http/1.0': 'HTTP/1.0', 'http/1.1': 'HTTP/1.1', h2: 'HTTP/2', h3: 'HTTP/3' };
+  return versions[protocol] || protocol || '';
+}
+
+function getHeader(headers = {}, headerName) {
+  return Object.entries(headers).find(([name]) => name.toLowerCase() === headerName)?.[1];
+}
+
+// Build a HAR 1.2 log of a tab's captured traffic since a mark or cursor
+async function exportHar(options = {}, explicitTabId) {
+  const tabId = resolveTabId(explicitTabId);
+  const capture = await startNetworkCapture(tabId);
+  const cursor = resolveNetworkCursor(capture, options.since);
+  const tab = await chrome.tabs.get(tabId);
+
+  // Top-level document loads start a new HAR page
+  let mainFrameId = null;
+  try {
+    const { frameTree } = await cdp(tabId, 'Page.getFrameTree');
+    mainFrameId = frameTree.frame.id;
+  } catch (err) {
+    // Fall back to treating every document load as a page
+  }
+
+  const pages = [];
+  const entries = [];
+  let currentPage = null;
+  const budget = bodyBudget();
+
+  for (const entry of capture.entries) {
+    if (entry.seq <= cursor) continue;
+    // HAR entries need a response - skip requests still in flight
+    if (entry.state === 'pending') continue;
+
+    const isPageLoad = entry.resourceType === 'Document' && (!mainFrameId || entry.frameId === mainFrameId);
+    if (isPageLoad && entry.state !== 'redirected') {
+      currentPage = {
+        startedDateTime: entry.startedDateTime,
+        id: `page_${pages.length + 1}`,
+        title: entry.url,
+        pageTimings: { onContentLoad: -1, onLoad: -1 }
+      };
+      pages.push(currentPage);
+    }
+
+    const phases = timingPhases(entry);
+    const url = new URL(entry.url);
+    const requestMimeType = getHeader(entry.requestHeaders, 'content-type') || '';
+    const content = {
+      size: entry.encodedDataLength ?? 0,
+      mimeType: entry.mimeType || 'x-unknown'
+    };
+    if (options.includeBodies) {
+      const body = await getResponseBody(tabId, entry, budget);
+      if (body?.body != null) {
+        content.text = body.body;
+        if (body.base64Encoded) content.encoding = 'base64';
+        if (body.truncated) content.comment = `Truncated to ${MAX_BODY_SIZE} bytes`;
+      } else if (body?.omitted) {
+        content.comment = `Body omitted: the export already holds ${MAX_BODIES_TOTAL_SIZE} bytes of bodies`;
+      }
+    }
+
+    const harEntry = {
+      startedDateTime: entry.startedDateTime,
+      time: Math.max(phases.total, 0),
+      request: {
+        method: entry.method,
+        url: entry.url,
+        httpVersion: toHarHttpVersion(entry.protocol),
+        cookies: toHarCookies(entry.requestHeaders, 'cookie'),
+        headers: toHarHeaders(entry.requestHeaders),
+        queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+        headersSize: -1,
+        bodySize: entry.postData ? entry.postData.length : 0
+      },
+      response: {
+        status: entry.status || 0,
+        statusText: entry.statusText || '',
+        httpVersion: toHarHttpVersion(entry.protocol),
+        cookies: toHarCookies(entry.responseHeaders, 'set-cookie'),
+        headers: toHarHeaders(entry.responseHeaders),
+        content,
+        redirectURL: entry.redirectURL || '',
+        headersSize: -1,
+        bodySize: entry.encodedDataLength ?? -1
+      },
+      cache: {},
+      timings: {
+        blocked: phases.blocked ?? -1,
+        dns: phases.dns ?? -1,
+        connect: phases.connect ?? -1,
+        ssl: phases.ssl ?? -1,
+        // send, wait and receive are required to be non-negative
+        send: Math.max(phases.send ?? 0, 0),
+        wait: Math.max(phases.wait ?? 0, 0),
+        receive: Math.max(phases.receive ?? 0, 0)
+      },
+      _resourceType: entry.resourceType.toLowerCase()
+    };
+    if (currentPage) harEntry.pageref = currentPage.id;
+    if (entry.postData) {
+      harEntry.request.postData = { mimeType: requestMimeType, text: entry.postData };
+    }
+    if (entry.remoteAddress) {
+      harEntry.serverIPAddress = entry.remoteAddress.replace(/:\d+$/, '').replace(/^\[|\]$/g, '');
+    }
+    if (entry.failureReason) harEntry._error = entry.failureReason;
+    if (entry.frames) {
+      harEntry._webSocketMessages = entry.frames.map(frame => ({
+        type: frame.direction === 'sent' ? 'send' : 'receive',
+        time: frame.timestamp,
+        opcode: frame.opcode,
+        data: frame.payload
+      }));
+    }
+    entries.push(harEntry);
+  }
+
+  const manifest = chrome.runtime.getManifest();
+  return {
+    success: true,
+    tabId,
+    url: tab.url,
+    since: cursor,
+    bodiesOmitted: budget.omitted,
+    har: {
+      log: {
+        version: '1.2',
+        creator: { name: 'Bronco Browser', version: manifest.version },
+        browser: { name: 'Chrome', version: navigator.userAgent.match(/Chrome\/([\d.]+)/)?.[1] || '' },
+        pages,
+        entries
+      }
+    }
+  };
+}
+
+// Get captured network requests. Reads don't clear the capture - pass the returned cursor to get only newer requests.
+async function getNetworkRequests(options = {}, explicitTabId) {
+  const tabId = resolveTabId(explicitTabId);
+  const wasActive = networkCaptures.get(tabId)?.active;
+  const capture = await startNetworkCapture(tabId);
+
+  const types = options.resourceType ? [].concat(options.resourceType).map(type => type.toLowerCase()) : null;
+  const statuses = options.status != null ? [].concat(options.status) : null;
+  let urlRegex = null;
+  if (options.urlPattern) {
+    try {
+      urlRegex = new RegExp(options.urlPattern);
+    } catch (err) {
+      return { success: false, error: `Invalid urlPattern: ${err.message}` };
+    }
+  }
+
+  const matching = capture.entries.filter(entry =>
+    entry.seq > (options.cursor || 0) &&
+    (!types || types.includes(entry.resourceType.toLowerCase())) &&
+    (!statuses || statuses.some(status => matchesStatus(entry, status))) &&
+    (!urlRegex || urlRegex.test(entry.url)) &&
+    (!options.filter || entry.url.includes(options.filter))
+  );
+  const limit = options.limit || 100;
+  const page = matching.slice(0, limit);
+
+  const requests = [];
+  const budget = bodyBudget();
+  for (const entry of page) {
+    const request = {
+      seq: entry.seq,
+      url: entry.url,
+      method: entry.method,
+      resourceType: entry.resourceType,
+      state: entry.state,
+      status: entry.status,
+      statusText: entry.statusText,
+      mimeType: entry.mimeType,
+      failureReason: entry.failureReason,
+      redirectURL: entry.redirectURL,
+      fromCache: entry.fromCache,
+      startedDateTime: entry.startedDateTime,
+      timing: timingPhases(entry),
+      encodedDataLength: entry.encodedDataLength
+    };
+    if (options.includeHeaders !== false) {
+      request.requestHeaders = entry.requestHeaders;
+      request.responseHeaders = entry.responseHeaders;
+      request.postData = entry.postData;
+    }
+    if (entry.frames) {
+      request.frames = entry.frames;
+    }
+    if (options.includeBodies) {
+      request.responseBody = await getResponseBody(tabId, entry, budget);
+    }
+    requests.push(request);
+  }
+
+  const result = {
+    success: true,
+    tabId,
+    requests,
+    // Pass as cursor to continue after the last returned request
+    cursor: page.length ? page[page.length - 1].seq : Math.max(options.cursor || 0, capture.nextSeq - 1),
+    hasMore: matching.length > limit,
+    dropped: capture.dropped,
+    captureStartedAt: new Date(capture.startedAt).toISOString()
+  };
+  if (!wasActive) {
+    result.note = 'Network capture started now. Requests made before this call were not recorded.';
+  }
+  if (budget.omitted) {
+    result.bodiesOmitted = budget.omitted;
+    result.bodiesNote = `${budget.omitted} response bodies were left out to keep the response under ${MAX_BODIES_TOTAL_SIZE} bytes of bodies. Request fewer at a time (limit, filters or cursor) to get them.`;
+  }
+  return result;
+}
+
+// ========== Network Routes (CDP Fetch) ==========
+
+// Interception rules: tabId -> { rules: [...], nextId, unsubscribe }
+const networkRoutes = new Map();
+const ROUTE_ACTIONS = ['block', 'fulfill', 'modify', 'delay'];
+
+// Glob URL pattern ("*" any characters, "?" one character) as used by the Fetch domain
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`);
+}
+
+function utf8ToBase64(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+// Route summary returned to the server
+function describeRoute(rule) {
+  return {
+    id: rule.id,
+    urlPattern: rule.urlPattern,
+    method: rule.method,
+    resourceType: rule.resourceType,
+    action: rule.action,
+    status: rule.status,
+    delay: rule.delay,
+    times: rule.times,
+    hits: rule.hits
+  };
+}
+
+// Point the Fetch domain at the current rules, or turn it off when there are none
+async function syncFetchPatterns(tabId) {
+  const routes = networkRoutes.get(tabId);
+  if (!routes || routes.rules.length === 0) {
+    routes?.unsubscribe?.();
+    networkRoutes.delete(tabId);
+    if (attachedTabs.has(tabId)) {
+      await cdp(tabId, 'Fetch.disable');
+    }
+    return;
+  }
+  if (!routes.unsubscribe) {
+    routes.unsubscribe = onCdpEvent(tabId, (method, params) => {
+      if (method === 'Fetch.requestPaused') {
+        handlePausedRequest(tabId, params).catch(err => {
+          console.error('[Background] Route handling failed:', err);
+        });
+      }
+    });
+  }
+  await cdp(tabId, 'Fetch.enable', {
+    patterns: routes.rules.map(rule => ({
+      urlPattern: rule.urlPattern,
+      resourceType: rule.resourceType,
+      requestStage: 'Request'
+    }))
+  });
+}
+
+// Add an interception rule for a tab
+async function addRoute(params, explicitTabId) {
+  const tabId = resolveTabId(explicitTabId);
+  if (!params.urlPattern) {
+    throw new Error('urlPattern is required');
+  }
+  if (!ROUTE_ACTIONS.includes(params.action)) {
+    throw new Error(`Unknown route action: ${params.action}. Use one of: ${ROUTE_ACTIONS.join(', ')}`);
+  }
+  if (params.action === 'delay' && !params.delay) {
+    throw new Error('The delay action needs a delay in milliseconds');
+  }
+
+  if (!networkRoutes.has(tabId)) {
+    networkRoutes.set(tabId, { rules: [], nextId: 1, unsubscribe: null });
+  }
+  const routes = networkRoutes.get(tabId);
+  const rule = {
+    id: `route-${routes.nextId++}`,
+    urlPattern: params.urlPattern,
+    regex: globToRegExp(params.urlPattern),
+    method: params.method?.toUpperCase(),
+    resourceType: params.resourceType,
+    action: params.action,
+    status: params.action === 'fulfill' ? (params.status || 200) : undefined,
+    headers: params.headers || {},
+    bodyBase64: params.bodyBase64 ?? (params.body != null ? utf8ToBase64(params.body) : ''),
+    errorReason: params.errorReason || 'BlockedByClient',
+    delay: params.delay || 0,
+    times: params.times,
+    hits: 0
+  };
+  routes.rules.push(rule);
+
+  try {
+    await syncFetchPatterns(tabId);
+  } catch (err) {
+    routes.rules.pop();
+    await syncFetchPatterns(tabId).catch(() => {});
+    throw err;
+  }
+  return { success: true, tabId, route: describeRoute(rule) };
+}
+
+// List a tab's interception rules
+function listRoutes(explicitTabId) {
+  const tabId = resolveTabId(explicitTabId);
+  const routes = networkRoutes.get(tabId);
+  return { success: true, tabId, routes: routes ? routes.rules.map(describeRoute) : [] };
+}
+
+// Remove one rule, or all of a tab's rules when no id is given
+async function removeRoute(routeId, explicitTabId) {
+  const tabId = resolveTabId(explicitTabId);
+  const routes = networkRoutes.get(tabId);
+  if (!routes) {
+    return { success: true, tabId, removed: [] };
+  }
+  let removed;
+  if (routeId) {
+    const rule = routes.rules.find(candidate => candidate.id === routeId);
+    if (!rule) {
+      throw new Error(`Route not found: ${routeId}`);
+    }
+    removed = [rule];
+  } else {
+    removed = [...routes.rules];
+  }
+  routes.rules = routes.rules.filter(rule => !removed.includes(rule));
+  await syncFetchPatterns(tabId);
+  return { success: true, tabId, removed: removed.map(rule => rule.id) };
+}
+
+// Drop all rules when the debugger goes away - Fetch interception stops with it
+function clearRoutes(tabId) {
+  const routes = networkRoutes.get(tabId);
+  if (!routes) return;
+  routes.unsubscribe?.();
+  networkRoutes.delete(tabId);
+}
+
+// Apply the first matching rule to a paused request
+async function handlePausedRequest(tabId, params) {
+  const { requestId, request, resourceType } = params;
+  const routes = networkRoutes.get(tabId);
+  const rule = routes?.rules.find(candidate =>
+    candidate.regex.test(request.url) &&
+    (!candidate.method || candidate.method === request.method) &&
+    (!candidate.resourceType || candidate.resourceType === resourceType)
+  );
+
+  if (!rule) {
+    await cdp(tabId, 'Fetch.continueRequest', { requestId });
+    return;
+  }
+
+  rule.hits++;
+  // A used-up rule stops matching now, but Fetch patterns are only resynced once this request is answered:
+  // dropping the last pattern disables Fetch, which would let the paused request through untouched
+  const exhausted = rule.times && rule.hits >= rule.times;
+  if (exhausted) {
+    routes.rules = routes.rules.filter(candidate => candidate !== rule);
+  }
+  try {
+    await applyRouteRule(tabId, rule, requestId, request);
+  } finally {
+    if (exhausted) {
+      await syncFetchPatterns(tabId);
+    }
+  }
+}
+
+// Answer a paused request the way a rule says, after its delay
+async function applyRouteRule(tabId, rule, requestId, request) {
+  if (rule.delay) {
+    await new Promise(resolve => setTimeout(resolve, rule.delay));
+  }
+
+  switch (rule.action) {
+    case 'block':
+      await cdp(tabId, 'Fetch.failRequest', { requestId, errorReason: rule.errorReason });
+      break;
+
+    case 'fulfill':
+      await cdp(tabId, 'Fetch.fulfillRequest', {
+        requestId,
+        responseCode: rule.status,
+        responseHeaders: Object.entries(rule.headers).map(([name, value]) => ({ name, value: String(value) })),
+        body: rule.bodyBase64
+      });
+      break;
+
+    case 'modify': {
+      // Rule headers replace same-named request headers; null removes one
+      const headers = { ...request.headers };
+      for (const [name, value] of Object.entries(rule.headers)) {
+        for (const existing of Object.keys(headers)) {
+          if (existing.toLowerCase() === name.toLowerCase()) delete headers[existing];
+        }
+        if (value !== null) headers[name] = String(value);
+      }
+      await cdp(tabId, 'Fetch.continueRequest', {
+        requestId,
+        headers: Object.entries(headers).map(([name, value]) => ({ name, value }))
+      });
+      break;
+    }
+
+    default:
+      await cdp(tabId, 'Fetch.continueRequest', { requestId });
+  }
+}
+
+// ========== Network & CPU Throttling (CDP) ==========
+
+// Active throttling: tabId -> { network: { preset, offline, latency, downloadKbps, uploadKbps }, cpuThrottling }
+const networkEmulation = new Map();
+
+// Same values as the Chrome DevTools presets. Throughput in kilobits per second.
+const NETWORK_PRESETS = {
+  offline: { offline: true, latency: 0, downloadKbps: 0, uploadKbps: 0 },
+  slow3g: { offline: false, latency: 2000, downloadKbps: 400, uploadKbps: 400 },
+  fast3g: { offline: false, latency: 562.5, downloadKbps: 1440, uploadKbps: 675 }
+};
+
+// Kilobits per second to the bytes per second CDP expects (-1 = unlimited)
+function kbpsToBytes(kbps) {
+  return kbps > 0 ? (kbps * 1000) / 8 : -1;
+}
+
+// Throttle a tab's network and/or CPU. preset "none" and cpuThrottling 1 turn each off.
+async function emulateNetwork(params, explicitTabId) {
+  const tabId = resolveTabId(explicitTabId);
+  const current = { ...networkEmulation.get(tabId) };
+
+  if (params.preset) {
+    let conditions;
+    if (params.preset === 'none') {
+      conditions = null;
+    } else if (params.preset === 'custom') {
+      conditions = {
+        offline: false,
+        latency: params.latency || 0,
+        downloadKbps: params.downloadKbps || 0,
+        uploadKbps: params.uploadKbps || 0
+      };
+    } else if (NETWORK_PRESETS[params.preset]) {
+      conditions = { ...NETWORK_PRESETS[params.preset] };
+    } else {
+      throw new Error(`Unknown network preset: ${params.preset}. Use none, offline, slow3g, fast3g or custom.`);
+    }
+
+    // emulateNetworkConditions needs the Network domain enabled
+    await startNetworkCapture(tabId);
+    await cdp(tabId, 'Network.emulateNetworkConditions', {
+      offline: conditions?.offline || false,
+      latency: conditions?.latency || 0,
+      downloadThroughput: conditions?.offline ? 0 : kbpsToBytes(conditions?.downloadKbps),
+      uploadThroughput: conditions?.offline ? 0 : kbpsToBytes(conditions?.uploadKbps)
+    });
+    if (conditions) {
+      current.network = { preset: params.preset, ...conditions };
+    } else {
+      delete current.network;
+    }
+  }
+
+  if (params.cpuThrottling != null) {
+    if (params.cpuThrottling < 1) {
+      throw new Error('cpuThrottling is a slowdown multiplier and must be at least 1');
+    }
+    await cdp(tabId, 'Emulation.setCPUThrottlingRate', { rate: params.cpuThrottling });
+    if (params.cpuThrottling > 1) {
+      current.cpuThrottling = params.cpuThrottling;
+    } else {
+      delete current.cpuThrottling;
+    }
+  }
+
+  if (current.network || current.cpuThrottling) {
+    networkEmulation.set(tabId, current);
+  } else {
+    networkEmulation.delete(tabId);
+  }
+  return { success: true, tabId, networkEmulation: networkEmulation.get(tabId) || null };
+}
+
+// Turn off throttling for a tab, if any
+async function clearNetworkEmulation(tabId) {
+  const current = networkEmulation.get(tabId);
+  if (!current) return;
+  networkEmulation.delete(tabId);
+  if (!attachedTabs.has(tabId)) return;
+  try {
+    if (current.network) {
+      await cdp(tabId, 'Network.emulateNetworkConditions', {
+        offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1
+      });
+    }
+    if (current.cpuThrottling) {
+      await cdp(tabId, 'Emulation.setCPUThrottlingRate', { rate: 1 });
+    }
+  } catch (err) {
+    // Tab may be gone
+  }
+}
+
+// ========== Device Emulation (CDP) ==========
+
+// Active emulation settings: tabId -> settings applied by browser_emulate
+const deviceEmulation = new Map();
+
+const IPHONE_UA = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+const IPAD_UA = 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+const ANDROID_UA = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36';
+
+// Named devices for browser_emulate and browser_window_new
+const DEVICE_PRESETS = {
+  'iPhone SE': { width: 375, height: 667, deviceScaleFactor: 2, mobile: true, touch: true, userAgent: IPHONE_UA },
+  'iPhone 15': { width: 393, height: 852, deviceScaleFactor: 3, mobile: true, touch: true, userAgent: IPHONE_UA },
+  'iPhone 15 Pro Max': { width: 430, height: 932, deviceScaleFactor: 3, mobile: true, touch: true, userAgent: IPHONE_UA },
+  'Pixel 8': { width: 412, height: 915, deviceScaleFactor: 2.625, mobile: true, touch: true, userAgent: ANDROID_UA },
+  'Galaxy S23': { width: 360, height: 780, deviceScaleFactor: 3, mobile: true, touch: true, userAgent: ANDROID_UA.replace('Pixel 8', 'SM-S911B') },
+  'iPad Mini': { width: 768, height: 1024, deviceScaleFactor: 2, mobile: true, touch: true, userAgent: IPAD_UA },
+  'iPad Pro 11': { width: 834, height: 1194, deviceScaleFactor: 2, mobile: true, touch: true, userAgent: IPAD_UA },
+  'Laptop': { width: 1366, height: 768, deviceScaleFactor: 1, mobile: false, touch: false },
+  'Desktop': { width: 1920, height: 1080, deviceScaleFactor: 1, mobile: false, touch: false }
+};
+
+// Look up a device preset by name (case-insensitive)
+function getDevicePreset(name) {
+  const key = Object.keys(DEVICE_PRESETS).find(preset => preset.toLowerCase() === name.toLowerCase());
+  if (!key) {
+    throw new Error(`Unknown device: ${name}. Available: ${Object.keys(DEVICE_PRESETS).join(', ')}`);
+  }
+  return { name: key, ...DEVICE_PRESETS[key] };
+}
+
+// Emulate a device, locale, timezone, geolocation or media features on a tab.
+// Settings combine with earlier calls; reset: true clears everything first.
+async function emulate(params, explicitTabId) {
+  const tabId = resolveTabId(explicitTabId);
+  if (params.reset) {
+    await clearDeviceEmulation(tabId);
+  }
+  const settings = { ...deviceEmulation.get(tabId) };
+
+  // Device preset first, explicit values override it
+  if (params.device) {
+    const { name, ...preset } = getDevicePreset(params.device);
+    Object.assign(settings, preset, { device: name });
+  }
+  for (const key of ['width', 'height', 'deviceScaleFactor', 'mobile', 'touch', 'userAgent', 'locale', 'timezone', 'geolocation', 'colorScheme', 'reducedMotion', 'media']) {
+    if (params[key] !== undefined) {
+      settings[key] = params[key];
+    }
+  }
+
+  if (settings.width || settings.height) {
+    if (!settings.width || !settings.height) {
+      throw new Error('Viewport emulation needs both width and height');
+    }
+    await cdp(tabId, 'Emulation.setDeviceMetricsOverride', {
+      width: settings.width,
+      height: settings.height,
+      deviceScaleFactor: settings.deviceScaleFactor || 1,
+      mobile: !!settings.mobile,
+      screenWidth: settings.width,
+      screenHeight: settings.height
+    });
+  }
+
+  if (settings.touch !== undefined) {
+    await cdp(tabId, 'Emulation.setTouchEmulationEnabled', { enabled: !!settings.touch, maxTouchPoints: settings.touch ? 5 : 1 });
+  }
+
+  if (settings.userAgent || settings.locale) {
+    const override = { userAgent: settings.userAgent || navigator.userAgent };
+    if (settings.locale) {
+      // Sent as Accept-Language
+      override.acceptLanguage = settings.locale;
+    }
+    await cdp(tabId, 'Emulation.setUserAgentOverride', override);
+  }
+
+  if (settings.locale) {
+    await cdp(tabId, 'Emulation.setLocaleOverride', { locale: settings.locale });
+  }
+
+  if (settings.timezone) {
+    await cdp(tabId, 'Emulation.setTimezoneOverride', { timezoneId: settings.timezone });
+  }
+
+  if (settings.geolocation) {
+    const { latitude, longitude, accuracy = 10 } = settings.geolocation;
+    await cdp(tabId, 'Emulation.setGeolocationOverride', { latitude, longitude, accuracy });
+  }
+
+  if (settings.colorScheme || settings.reducedMotion || settings.media) {
+    const features = [];
+    if (settings.colorScheme) features.push({ name: 'prefers-color-scheme', value: settings.colorScheme });
+    if (settings.reducedMotion) features.push({ name: 'prefers-reduced-motion', value: settings.reducedMotion });
+    await cdp(tabId, 'Emulation.setEmulatedMedia', { media: settings.media || '', features });
+  }
+
+  if (Object.keys(settings).length) {
+    deviceEmulation.set(tabId, settings);
+  }
+  return { success: true, tabId, emulation: deviceEmulation.get(tabId) || null };
+}
+
+// Undo all device emulation on a tab
+async function clearDeviceEmulation(tabId) {
+  const settings = deviceEmulation.get(tabId);
+  if (!settings) return;
+  deviceEmulation.delete(tabId);
+  if (!attachedTabs.has(tabId)) return;
+  try {
+    await cdp(tabId, 'Emulation.clearDeviceMetricsOverride');
+    await cdp(tabId, 'Emulation.setTouchEmulationEnabled', { enabled: false });
+    if (settings.userAgent || settings.locale) {
+      await cdp(tabId, 'Emulation.setUserAgentOverride', { userAgent: navigator.userAgent });
+    }
+    if (settings.locale) await cdp(tabId, 'Emulation.setLocaleOverride', {});
+    if (settings.timezone) await cdp(tabId, 'Emulation.setTimezoneOverride', { timezoneId: '' });
+    if (settings.geolocation) await cdp(tabId, 'Emulation.clearGeolocationOverride');
+    await cdp(tabId, 'Emulation.setEmulatedMedia', { media: '', features: [] });
+  } catch (err) {
+    // Tab may be gone
+  }
+}
+
+// ========== JavaScript Dialogs (CDP) ==========
+
+// Dialog handling: tabId -> { policy, promptText, dialogs, nextId, unsubscribe }
+// policy: 'user' (recorded, left to the person using the browser) | 'accept' | 'dismiss' | 'queue' (left open until browser_handle_dialog).
+// Tabs opened or connected by a tool are watched from the start with 'user', so early dialogs are listed but not answered.
+const dialogWatches = new Map();
+const DIALOG_POLICIES = ['user', 'accept', 'dismiss', 'queue'];
+const MAX_DIALOG_HISTORY = 100;
+
+// Watch a tab for alert/confirm/prompt/beforeunload dialogs (no-op if already watching)
+async function startDialogWatch(tabId) {
+  let watch = dialogWatches.get(tabId);
+  if (watch?.unsubscribe) return watch;
+  if (!watch) {
+    watch = { policy: 'user', promptText: null, dialogs: [], nextId: 1, unsubscribe: null };
+    dialogWatches.set(tabId, watch);
+  }
+  watch.unsubscribe = onCdpEvent(tabId, (method, params) => {
+    if (method === 'Page.javascriptDialogOpening') {
+      onDialogOpening(tabId, watch, params).catch(err => {
+        console.error('[Background] Dialog handling failed:', err);
+      });
+    } else if (method === 'Page.javascriptDialogClosed') {
+      // Closed by us or by the user in the browser
+      const dialog = watch.dialogs.find(candidate => candidate.status === 'open');
+      if (dialog) {
+        dialog.status = 'closed';
+        dialog.accepted = params.result;
+        dialog.handledBy = dialog.handledBy || 'user';
+        dialog.closedAt = Date.now();
+      }
+    }
+  });
+  try {
+    await cdp(tabId, 'Page.enable');
+  } catch (err) {
+    watch.unsubscribe();
+    watch.unsubscribe = null;
+    throw err;
+  }
+  return watch;
+}
+
+// Stop watching when the debugger goes away - dialogs then show normally. History and policy are kept.
+function stopDialogWatch(tabId) {
+  const watch = dialogWatches.get(tabId);
+  if (!watch) return;
+  watch.unsubscribe?.();
+  watch.unsubscribe = null;
+}
+
+// Record a dialog and apply the tab's policy
+async function onDialogOpening(tabId, watch, params) {
+  const dialog = {
+    id: `dialog-${watch.nextId++}`,
+    type: params.type,
+    message: params.message,
+    defaultPrompt: params.defaultPrompt,
+    url: params.url,
+    timestamp: Date.now(),
+    status: 'open'
+  };
+  watch.dialogs.push(dialog);
+  if (watch.dialogs.length > MAX_DIALOG_HISTORY) {
+    watch.dialogs.shift();
+  }
+  console.log('[Background] Dialog opened:', dialog.type, dialog.message);
+
+  if (watch.policy === 'user' || watch.policy === 'queue') return;
+  await closeDialog(tabId, dialog, watch.policy === 'accept', watch.promptText, 'policy');
+}
+
+// Accept or dismiss an open dialog
+async function closeDialog(tabId, dialog, accept, promptText, handledBy) {
+  const params = { accept };
+  if (accept && dialog.type === 'prompt') {
+    params.promptText = promptText ?? dialog.defaultPrompt ?? '';
+  }
+  dialog.handledBy = handledBy;
+  await cdp(tabId, 'Page.handleJavaScriptDialog', params);
+  dialog.status = 'closed';
+  dialog.accepted = accept;
+  dialog.closedAt = Date.now();
+  if (params.promptText !== undefined) {
+    dialog.promptText = params.promptText;
+  }
+}
+
+// Handle the open dialog now, or - if none is open - set how the next dialogs are handled
+async function handleDialog(action, promptText, explicitTabId) {
+  const tabId = resolveTabId(explicitTabId);
+  if (action !== 'accept' && action !== 'dismiss') {
+    throw new Error(`Unknown dialog action: ${action}. Use "accept" or "dismiss".`);
+  }
+  const watch = await startDialogWatch(tabId);
+  const open = watch.dialogs.find(dialog => dialog.status === 'open');
+  if (open) {
+    await closeDialog(tabId, open, action === 'accept', promptText, 'agent');
+    return { success: true, tabId, dialog: open };
+  }
+  return setDialogPolicy(action, promptText, tabId);
+}
+
+// Set how a tab's dialogs are handled from now on
+async function setDialogPolicy(policy, promptText, explicitTabId) {
+  const tabId = resolveTabId(explicitTabId);
+  if (!DIALOG_POLICIES.includes(policy)) {
+    throw new Error(`Unknown dialog policy: ${policy}. Use one of: ${DIALOG_POLICIES.join(', ')}`);
+  }
+  const watch = await startDialogWatch(tabId);
+  watch.policy = policy;
+  watch.promptText = promptText ?? null;
+  return { success: true, tabId, policy, promptText: watch.promptText };
+}
+
+// List dialogs seen on a tab, oldest first. Unwatched tabs (never debugged) have none - their dialogs go to the user unseen.
+async function listDialogs(explicitTabId) {
+  const tabId = resolveTabId(explicitTabId);
+  const watch = dialogWatches.get(tabId);
+  return {
+    success: true,
+    tabId,
+    policy: watch?.unsubscribe ? watch.policy : null,
+    promptText: watch?.promptText ?? null,
+    open: watch?.dialogs.filter(dialog => dialog.status === 'open') || [],
+    dialogs: watch?.dialogs || []
+  };
+}
+
+// ========== Downloads ==========
+
+// Downloads started since the extension loaded: downloadId -> { tabId, reported, urls, at }.
+// reported: already returned by browser_wait_for_download, so the next wait skips it.
+// urls and at let a source announced after the download was created still claim it.
+const downloads = new Map();
+const MAX_DOWNLOADS = 200;
+
+// Downloads pages announced over CDP (Page.downloadWillBegin), waiting to be matched
+// to their chrome.downloads item by URL: { tabId, url, at }
+const downloadSources = [];
+const DOWNLOAD_SOURCE_TTL_MS = 30000;
+
+// Recent frame and link requests from tabs, seen through webRequest: { tabId, url, at }.
+// A download is one of these that turned into a file, so it names the source tab on tabs without the debugger.
+const frameRequests = [];
+const MAX_FRAME_REQUESTS = 500;
+
+function noteFrameRequest(tabId, url) {
+  if (tabId < 0) return;
+  frameRequests.push({ tabId, url, at: Date.now() });
+  if (frameRequests.length > MAX_FRAME_REQUESTS) {
+    frameRequests.shift();
+  }
+}
+
+chrome.webRequest.onBeforeRequest.addListener(
+  (details) => noteFrameRequest(details.tabId, details.url),
+  { urls: ['<all_urls>'], types: ['main_frame', 'sub_frame', 'other'] }
+);
+chrome.webRequest.onBeforeRedirect.addListener(
+  (details) => noteFrameRequest(details.tabId, details.redirectUrl),
+  { urls: ['<all_urls>'], types: ['main_frame', 'sub_frame', 'other'] }
+);
+
+// tabId -> unsubscribe function for the tab's Page.downloadWillBegin listener
+const downloadWatches = new Map();
+
+// Callbacks re-run whenever a download is created or changes (see waitForDownloads)
+const downloadWaiters = new Set();
+
+// Note which tab starts each download. Needs the Page domain, which console capture enables on debugged tabs.
+// The CDP event and chrome.downloads.onCreated arrive in either order.
+function startDownloadWatch(tabId) {
+  if (downloadWatches.has(tabId)) return;
+  downloadWatches.set(tabId, onCdpEvent(tabId, (method, params) => {
+    if (method !== 'Page.downloadWillBegin') return;
+    const source = { tabId, url: params.url, at: Date.now() };
+    if (!claimDownload(source)) {
+      downloadSources.push(source);
+    }
+  }));
+}
+
+// Give a download created before its source was announced to that source's tab
+function claimDownload(source) {
+  for (const download of downloads.values()) {
+    if (download.tabId === null && download.urls.includes(source.url) && source.at - download.at <= DOWNLOAD_SOURCE_TTL_MS) {
+      download.tabId = source.tabId;
+      downloadWaiters.forEach(waiter => waiter());
+      return true;
+    }
+  }
+  return false;
+}
+
+function stopDownloadWatch(tabId) {
+  downloadWatches.get(tabId)?.();
+  downloadWatches.delete(tabId);
+}
+
+// Find the tab a new download came from: the CDP announcement, else the one tab that
+// recently requested its URL. Null when neither tells (blob: and data: URLs, or several tabs).
+function takeDownloadSource(item) {
+  const now = Date.now();
+  for (let i = downloadSources.length - 1; i >= 0; i--) {
+    if (now - downloadSources[i].at > DOWNLOAD_SOURCE_TTL_MS) {
+      downloadSources.splice(i, 1);
+    }
+  }
+  const urls = [item.url, item.finalUrl].filter(Boolean);
+  const index = downloadSources.findIndex(source => urls.includes(source.url));
+  if (index !== -1) {
+    return downloadSources.splice(index, 1)[0].tabId;
+  }
+  const tabIds = new Set(frameRequests
+    .filter(request => urls.includes(request.url) && now - request.at <= DOWNLOAD_SOURCE_TTL_MS)
+    .map(request => request.tabId));
+  return tabIds.size === 1 ? [...tabIds][0] : null;
+}
+
+// Forget a download to make room, preferring ones a wait already returned
+function evictDownload() {
+  for (const [id, download] of downloads) {
+    if (download.reported) {
+      downloads.delete(id);
+      return;
+    }
+  }
+  downloads.delete(downloads.keys().next().value);
+}
+
+chrome.downloads.onCreated.addListener((item) => {
+  downloads.set(item.id, {
+    tabId: takeDownloadSource(item),
+    reported: false,
+    urls: [item.url, item.finalUrl].filter(Boolean),
+    at: Date.now()
+  });
+  if (downloads.size > MAX_DOWNLOADS) {
+    evictDownload();
+  }
+  console.log('[Background] Download started:', item.id, item.url);
+  downloadWaiters.forEach(waiter => waiter());
+});
+
+chrome.downloads.onChanged.addListener(() => {
+  downloadWaiters.forEach(waiter => waiter());
+});
+
+// What the tools report about a download
+function describeDownload(item) {
+  const info = {
+    downloadId: item.id,
+    tabId: downloads.get(item.id)?.tabId ?? null,
+    url: item.finalUrl || item.url,
+    filename: item.filename ? item.filename.split(/[\\/]/).pop() : null,
+    path: item.filename || null,
+    mimeType: item.mime || null,
+    size: item.state === 'complete' ? item.fileSize : (item.totalBytes > 0 ? item.totalBytes : null),
+    bytesReceived: item.bytesReceived,
+    state: item.state,
+    startTime: item.startTime,
+    endTime: item.endTime || null,
+    exists: item.exists
+  };
+  if (item.error) info.error = item.error;
+  if (item.danger && item.danger !== 'safe' && item.danger !== 'accepted') {
+    // Chrome holds these until the user keeps or discards them in the download bar
+    info.danger = item.danger;
+  }
+  return info;
+}
+
+async function getDownloadItem(downloadId) {
+  const [item] = await chrome.downloads.search({ id: downloadId });
+  if (!item) {
+    throw new Error(`Download ${downloadId} not found`);
+  }
+  return item;
+}
+
+// Resolve once check() returns a value, re-checking whenever a download is created or changes
+function waitForDownloads(check, timeout, signal) {
+  return new Promise((resolve, reject) => {
+    let done = false;
+    const finish = (settle, value) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      downloadWaiters.delete(run);
+      signal?.removeEventListener('abort', onAbort);
+      settle(value);
+    };
+    const run = async () => {
+      try {
+        const value = await check();
+        if (value) finish(resolve, value);
+      } catch (err) {
+        finish(reject, err);
+      }
+    };
+    const onAbort = () => finish(reject, new Error('Cancelled'));
+    const timer = setTimeout(() => finish(reject, new Error(`Timed out after ${timeout}ms waiting for a download`)), timeout);
+    signal?.addEventListener('abort', onAbort);
+    downloadWaiters.add(run);
+    run();
+  });
+}
+
+// Wait for the next download a tab starts - including one started just before this call that
+// no earlier wait returned - and, unless waitForCompletion is false, for it to finish.
+// Downloads whose source tab is unknown are never taken: another tab may be waiting for them.
+async function waitForDownload(options, explicitTabId) {
+  const tabId = resolveTabId(explicitTabId);
+  const timeout = options.timeout || 30000;
+  const startTime = Date.now();
+
+  let downloadId;
+  try {
+    downloadId = await waitForDownloads(() => {
+      for (const [id, download] of downloads) {
+        if (!download.reported && download.tabId === tabId) {
+          return id;
+        }
+      }
+      return null;
+    }, timeout, options.signal);
+  } catch (err) {
+    const unattributed = [...downloads.values()].filter(download => !download.reported && download.tabId === null).length;
+    if (unattributed && err.message.startsWith('Timed out')) {
+      throw new Error(`${err.message} from tab ${tabId}. ${unattributed} download(s) from an unknown tab started meanwhile - find them with browser_list_downloads.`);
+    }
+    throw err;
+  }
+  downloads.get(downloadId).reported = true;
+
+  let item = await getDownloadItem(downloadId);
+  if (options.waitForCompletion !== false) {
+    const remaining = Math.max(timeout - (Date.now() - startTime), 0);
+    item = await waitForDownloads(async () => {
+      const current = await getDownloadItem(downloadId);
+      const held = current.danger && !['safe', 'accepted'].includes(current.danger);
+      return current.state !== 'in_progress' || held ? current : null;
+    }, remaining, options.signal);
+  }
+
+  const download = describeDownload(item);
+  return { success: item.state !== 'interrupted', tabId, download, ...(item.error ? { error: `Download failed: ${item.error}` } : {}) };
+}
+
+// List downloads started since the extension loaded, optionally only those from one tab
+async function listDownloads(tabId) {
+  const items = [];
+  for (const [id, download] of downloads) {
+    if (tabId && download.tabId !== tabId) continue;
+    const [item] = await chrome.downloads.search({ id });
+    if (item) items.push(describeDownload(item));
+  }
+  return { success: true, downloads: items };
+}
+
+// Get a single download
+async function getDownload(downloadId) {
+  return { success: true, download: describeDownload(await getDownloadItem(downloadId)) };
+}
+
+// Cancel a download in progress
+async function cancelDownload(downloadId) {
+  const item = await getDownloadItem(downloadId);
+  if (item.state === 'in_progress') {
+    await chrome.downloads.cancel(downloadId);
+  }
+  return { success: true, download: describeDownload(await getDownloadItem(downloadId)) };
+}
+
+// ========== Trusted Input (CDP) ==========
+
+// Key definitions for Input.dispatchKeyEvent
+const KEY_DEFINITIONS = {
+  Enter: { code: 'Enter', keyCode: 13, text: '\r' },
+  Tab: { code: 'Tab', keyCode: 9 },
+  Escape: { code: 'Escape', keyCode: 27 },
+  Backspace: { code: 'Backspace', keyCode: 8 },
+  Delete: { code: 'Delete', keyCode: 46 },
+  Space: { key: ' ', code: 'Space', keyCode: 32, text: ' ' },
+  ArrowUp: { code: 'ArrowUp', keyCode: 38 },
+  ArrowDown: { code: 'ArrowDown', keyCode: 40 },
+  ArrowLeft: { code: 'ArrowLeft', keyCode: 37 },
+  ArrowRight: { code: 'ArrowRight', keyCode: 39 },
+  Home: { code: 'Home', keyCode: 36 },
+  End: { code: 'End', keyCode: 35 },
+  PageUp: { code: 'PageUp', keyCode: 33 },
+  PageDown: { code: 'PageDown', keyCode: 34 }
+};
+
+// Physical key and Windows virtual key code for punctuation and shifted characters (US layout).
+// Their char codes collide with other keys, e.g. "." (46) is Delete.
+const CHARACTER_KEYS = {
+  ' ': ['Space', 32],
+  ';': ['Semicolon', 186], ':': ['Semicolon', 186],
+  '=': ['Equal', 187], '+': ['Equal', 187],
+  ',': ['Comma', 188], '<': ['Comma', 188],
+  '-': ['Minus', 189], '_': ['Minus', 189],
+  '.': ['Period', 190], '>': ['Period', 190],
+  '/': ['Slash', 191], '?': ['Slash', 191],
+  '`': ['Backquote', 192], '~': ['Backquote', 192],
+  '[': ['BracketLeft', 219], '{': ['BracketLeft', 219],
+  '\\': ['Backslash', 220], '|': ['Backslash', 220],
+  ']': ['BracketRight', 221], '}': ['BracketRight', 221],
+  "'": ['Quote', 222], '"': ['Quote', 222],
+  ')': ['Digit0', 48], '!': ['Digit1', 49], '@': ['Digit2', 50], '#': ['Digit3', 51], '$': ['Digit4', 52],
+  '%': ['Digit5', 53], '^': ['Digit6', 54], '&': ['Digit7', 55], '*': ['Digit8', 56], '(': ['Digit9', 57]
+};
+
+// Modifier bit flags used by CDP input events
+const MODIFIERS = { Alt: 1, Control: 2, Meta: 4, Shift: 8 };
+
+// Pick the input mode for a call: explicit per-call mode wins over the session default
+function resolveInputMode(mode) {
+  const resolved = mode || inputMode;
+  if (resolved !== 'script' && resolved !== 'cdp') {
+    throw new Error(`Unknown input mode: ${resolved}. Use "script" or "cdp".`);
+  }
+  return resolved;
+}
+
+// Set the session-wide default input mode. Saved with the session so it survives service worker restarts.
+async function setInputMode(mode) {
+  inputMode = resolveInputMode(mode);
+  await saveSessionState();
+  return { success: true, inputMode };
+}
+
+// Run a CDP input action, falling back to script injection if the debugger is unavailable
+async function withInputMode(mode, cdpAction, scriptAction) {
+  if (resolveInputMode(mode) !== 'cdp') {
+    return scriptAction();
+  }
+  try {
+    const result = await cdpAction();
+    return { ...result, inputMode: 'cdp' };
+  } catch (err) {
+    if (!err.message?.startsWith('Could not attach debugger')) throw err;
+    console.log('[Background] CDP input unavailable, falling back to script:', err.message);
+    const result = await scriptAction();
+    return { ...result, inputMode: 'script', fallbackReason: err.message };
+  }
+}
+
+// Options for helpers.waitForActionable: which checks to run, how long to wait, and the request that can cancel it
+function actionOptions(action, options = {}) {
+  return { action, timeout: options.timeout, requestId: options.requestId };
+}
+
+// Wait for an element to be actionable and return its center point in top-level viewport coordinates
+async function waitForActionablePoint(tabId, selector, action, options, frameId = 0) {
+  const point = await runWithHelpers(tabId, async (sel, opts) => {
+    const target = await window.__mcpHelpers.waitForActionable(sel, opts);
+    if (target.error) return { success: false, error: target.error };
+    return { success: true, x: target.x, y: target.y };
+  }, [selector, actionOptions(action, options)], frameId);
+  if (!point.success || !frameId) return point;
+
+  // The point is relative to the frame's viewport; CDP input is relative to the tab's
+  const offset = await getFrameOffset(tabId, frameId);
+  return { ...point, x: point.x + offset.x, y: point.y + offset.y };
+}
+
+// Focus an element once actionable. For typing, select its current contents so typing replaces them.
+async function focusElement(tabId, selector, action, options, frameId = 0) {
+  return runWithHelpers(tabId, async (sel, opts) => {
+    const target = await window.__mcpHelpers.waitForActionable(sel, opts);
+    if (target.error) return { success: false, error: target.error };
+    const el = target.element;
+    el.scrollIntoView({ block: 'center', inline: 'center' });
+    el.focus();
+    if (opts.action !== 'type') {
+      return { success: true };
+    }
+    if (typeof el.select === 'function') {
+      el.select();
+    } else if (el.isContentEditable) {
+      const range = document.createRange();
+      range.selectNodeContents(el);
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+    return { success: true };
+  }, [selector, actionOptions(action, options)], frameId);
+}
+
+// Dispatch a mouse click at a point
+// (a double click is two press/release pairs, the second with clickCount 2)
+async function cdpClickAt(tabId, x, y, button = 'left', clickCount = 1) {
+  await cdp(tabId, 'Input.dispatchMouseEvent', { type: 'mouseMoved', x, y });
+  for (let count = 1; count <= clickCount; count++) {
+    await cdp(tabId, 'Input.dispatchMouseEvent', { type: 'mousePressed', x, y, button, clickCount: count });
+    await cdp(tabId, 'Input.dispatchMouseEvent', { type: 'mouseReleased', x, y, button, clickCount: count });
+  }
+}
+
+// Dispatch a key press. Supports combinations like "Control+A" or "Shift+Tab".
+async function cdpPressKey(tabId, combo) {
+  const parts = combo === '+' ? ['+'] : combo.split('+');
+  const key = parts.pop();
+  const modifiers = parts.reduce((bits, name) => {
+    if (!(name in MODIFIERS)) throw new Error(`Unknown modifier: ${name}`);
+    return bits | MODIFIERS[name];
+  }, 0);
+
+  let definition = KEY_DEFINITIONS[key];
+  if (!definition) {
+    if (key.length !== 1) throw new Error(`Unknown key: ${key}`);
+    const upper = key.toUpperCase();
+    const [code, keyCode] = CHARACTER_KEYS[key]
+      || [/[a-z]/i.test(key) ? `Key${upper}` : /\d/.test(key) ? `Digit${key}` : '', upper.charCodeAt(0)];
+    definition = { code, keyCode, text: key };
+  }
+
+  // Text is suppressed while Control/Alt/Meta are held so shortcuts don't insert characters
+  const text = modifiers & ~MODIFIERS.Shift ? undefined : definition.text;
+  const event = {
+    key: definition.key || key,
+    code: definition.code,
+    windowsVirtualKeyCode: definition.keyCode,
+    modifiers
+  };
+  await cdp(tabId, 'Input.dispatchKeyEvent', { ...event, type: text ? 'keyDown' : 'rawKeyDown', text });
+  await cdp(tabId, 'Input.dispatchKeyEvent', { ...event, type: 'keyUp' });
+}
+
+// Drag between two points. Uses drag interception so native HTML5 drag-and-drop receives the drop.
+async function cdpDrag(tabId, from, to) {
+  let intercepted = null;
+  const unsubscribe = onCdpEvent(tabId, (method, params) => {
+    if (method === 'Input.dragIntercepted') intercepted = params.data;
+  });
+
+  try {
+    await cdp(tabId, 'Input.setInterceptDrags', { enabled: true });
+    await cdp(tabId, 'Input.dispatchMouseEvent', { type: 'mouseMoved', x: from.x, y: from.y });
+    await cdp(tabId, 'Input.dispatchMouseEvent', { type: 'mousePressed', x: from.x, y: from.y, button: 'left', clickCount: 1 });
+
+    // Move in steps so pointer-based drag libraries see intermediate positions
+    const steps = 10;
+    for (let i = 1; i <= steps; i++) {
+      const x = from.x + (to.x - from.x) * i / steps;
+      const y = from.y + (to.y - from.y) * i / steps;
+      await cdp(tabId, 'Input.dispatchMouseEvent', { type: 'mouseMoved', x, y, button: 'left', buttons: 1 });
+    }
+
+    if (intercepted) {
+      for (const type of ['dragEnter', 'dragOver', 'drop']) {
+        await cdp(tabId, 'Input.dispatchDragEvent', { type, x: to.x, y: to.y, data: intercepted });
+      }
+    }
+    await cdp(tabId, 'Input.dispatchMouseEvent', { type: 'mouseReleased', x: to.x, y: to.y, button: 'left', clickCount: 1 });
+    return { nativeDrag: !!intercepted };
+  } finally {
+    unsubscribe();
+    await cdp(tabId, 'Input.setInterceptDrags', { enabled: false }).catch(() => {});
+  }
+}
+
+// ========== Recording Functions ==========
+
+// Frame selectors for recorded actions: "tabId:frameId" -> selector of the <iframe>, or null
+const recordingFrameSelectors = new Map();
+
+// Recorded actions are added one at a time, in the order they arrived
+let recordingQueue = Promise.resolve();
+
+// Navigations the user started themselves: typed URLs, bookmarks, reloads. Link clicks and
+// form submits aren't recorded as navigations - replaying the click does them.
+const USER_TRANSITIONS = new Set(['typed', 'auto_bookmark', 'generated', 'keyword', 'keyword_generated', 'reload', 'start_page']);
+
+// Start recording on current tab
+async function startRecording() {
+  const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tabs[0]) throw new Error('No active tab');
+
+  recordingTabId = tabs[0].id;
+  recordingTabs.clear();
+  recordingTabs.add(recordingTabId);
+  recordingFrameSelectors.clear();
+  isRecording = true;
+  // Record the initial page
+  currentRecording = [{ type: 'navigate', url: tabs[0].url, title: tabs[0].title, timestamp: Date.now() }];
+  lastSaved = false;
+
+  await injectRecorder(recordingTabId);
+
+  console.log('[Background] Recording started on tab', recordingTabId);
+}
+
+// Inject the recorder script, after the helpers it generates selectors with, and start it.
+// Without a frameId it goes into every frame of the tab.
+async function injectRecorder(tabId, frameId) {
+  const allFrames = frameId === undefined;
+  await chrome.scripting.executeScript({
+    target: allFrames ? { tabId, allFrames: true } : frameTarget(tabId, frameId),
+    files: ['helpers.js', 'recorder.js']
+  });
+
+  // Tell the recorder to start
+  await chrome.tabs.sendMessage(tabId, { type: 'start_recording' }, allFrames ? {} : { frameId });
+}
+
+// Add an action sent by a recorder, or seen by the background (navigations, new tabs).
+// Actions in child frames get the <iframe> selector replay targets them with, and the tab's URL
+// as their url (the frame's goes in frameUrl). Moving to another recorded tab adds a switch_tab.
+function addRecordedAction(action, tabId, frameId = 0, tabUrl = action.url) {
+  recordingQueue = recordingQueue.then(async () => {
+    if (!isRecording) return;
+
+    if (frameId) {
+      action = { ...action, url: tabUrl, frameUrl: action.url };
+      const frame = await recordingFrameSelector(tabId, frameId);
+      if (frame) action.frame = frame;
+    }
+
+    if (tabId !== recordingTabId && action.type !== 'new_tab') {
+      currentRecording.push({ type: 'switch_tab', url: tabUrl, timestamp: action.timestamp });
+    }
+    recordingTabId = tabId;
+
+    // The recorder already sent the double click's first click
+    if (action.type === 'dblclick') {
+      const last = currentRecording[currentRecording.length - 1];
+      if (last?.type === 'click' && last.selector === action.selector && last.frame === action.frame) {
+        currentRecording.pop();
+      }
+    }
+
+    currentRecording.push(action);
+    console.log('[Background] Recorded action:', action.type, action.selector || action.url);
+  }).catch(err => {
+    console.error('[Background] Error recording action:', err);
+  });
+}
+
+// Selector of the <iframe> a recorded frame lives in, so replay can pass it as "frame".
+// That only reaches frames directly inside the top document; deeper ones get null.
+async function recordingFrameSelector(tabId, frameId) {
+  const key = `${tabId}:${frameId}`;
+  if (!recordingFrameSelectors.has(key)) {
+    let selector = null;
+    try {
+      const frame = await chrome.webNavigation.getFrame({ tabId, frameId });
+      if (frame?.parentFrameId === 0) {
+        const result = await runWithHelpers(tabId, (id) => {
+          const el = window.__mcpHelpers.queryAllDeep('iframe, frame').find(f => chrome.runtime.getFrameId(f) === id);
+          return { success: !!el, selector: el ? window.__mcpHelpers.generateSelector(el) : null };
+        }, [frameId]);
+        selector = result.selector || null;
+      }
+    } catch (err) {
+      // Frame went away
+    }
+    recordingFrameSelectors.set(key, selector);
+  }
+  return recordingFrameSelectors.get(key);
+}
+
+// Every new document in a recorded tab (navigations, new frames) gets the recorder again
+chrome.webNavigation.onDOMContentLoaded.addListener((details) => {
+  if (!isRecording || !recordingTabs.has(details.tabId)) return;
+  injectRecorder(details.tabId, details.frameId).catch(err => {
+    // Pages we can't script (chrome://, web store)
+    console.log('[Background] Could not inject recorder:', err.message);
+  });
+});
+
+// Navigations the user made in a recorded tab
+chrome.webNavigation.onCommitted.addListener((details) => {
+  if (!isRecording || details.frameId !== 0 || !recordingTabs.has(details.tabId)) return;
+  const qualifiers = details.transitionQualifiers || [];
+  if (!USER_TRANSITIONS.has(details.transitionType) && !qualifiers.includes('forward_back') && !qualifiers.includes('from_address_bar')) {
+    return;
+  }
+  addRecordedAction({ type: 'navigate', url: details.url, timestamp: Date.now() }, details.tabId);
+});
+
+// Tabs and windows the recorded page opens are recorded too
+chrome.webNavigation.onCreatedNavigationTarget.addListener((details) => {
+  if (!isRecording || !recordingTabs.has(details.sourceTabId)) return;
+  recordingTabs.add(details.tabId);
+  addRecordedAction({ type: 'new_tab', url: details.url, timestamp: Date.now() }, details.tabId);
+});
+
+// Stop recording
+async function stopRecording() {
+  for (const tabId of recordingTabs) {
+    try {
+      // Reaches the recorder in every frame
+      await chrome.tabs.sendMessage(tabId, { type: 'stop_recording' });
+    } catch (err) {
+      // Tab may have been closed
+    }
+  }
+  await recordingQueue;
+
+  isRecording = false;
+  console.log('[Background] Recording stopped,', currentRecording.length, 'actions captured');
+}
+
+// Hand the unsaved recording to the server, which saves it (browser_save_recording)
+async function takeCurrentRecording() {
+  if (isRecording) {
+    await stopRecording();
+  }
+  if (currentRecording.length === 0 || lastSaved) {
+    throw new Error('No unsaved recording. Record actions from the extension popup first.');
+  }
+
+  const recording = { actions: currentRecording, url: currentRecording[0]?.url || '' };
+  currentRecording = [];
+  lastSaved = true;
+  recordingTabId = null;
+  recordingTabs.clear();
+  return recording;
+}
+
+// Save recording with a name
+async function saveRecording(name) {
+  if (currentRecording.length === 0) {
+    throw new Error('No actions to save');
+  }
+  const recordings = await listRecordings();
+  if (recordings.some(recording => recording.name === name)) {
+    throw new Error(`A recording named "${name}" already exists`);
+  }
+
+  const actions = currentRecording;
+  await queueRecordingOp({
+    op: 'save',
+    id: crypto.randomUUID(),
+    name,
+    actions,
+    createdAt: Date.now(),
+    url: actions[0]?.url || ''
+  });
+
+  // Clear current recording
+  currentRecording = [];
+  lastSaved = true;
+  recordingTabId = null;
+  recordingTabs.clear();
+
+  console.log('[Background] Recording saved as:', name);
+  return { success: true, name, actionCount: actions.length, synced: isConnected() };
+}
+
+// ========== Recording Storage ==========
+// Saved recordings live on the MCP server's disk. The extension keeps a copy of the server's
+// list (recordingIndex) and an outbox of saves, renames and deletes made in the popup
+// (recordingOutbox), both in chrome.storage.local. The outbox is sent on every connect and
+// change; the server applies it and replies with its list, so nothing made offline is lost.
+// Sync outcomes worth telling the user about (renamed on conflict, failed) wait in
+// recordingNotices until the popup shows them, so they survive a service worker restart.
+
+const MAX_RECORDING_NOTICES = 50;
+
+// Storage reads and writes run one at a time so an outbox change can't race a server reply
+let recordingStoreQueue = Promise.resolve();
+
+function withRecordingStore(fn) {
+  const run = recordingStoreQueue.then(fn);
+  recordingStoreQueue = run.catch(() => {});
+  return run;
+}
+
+function isConnected() {
+  return !!ws && ws.readyState === WebSocket.OPEN;
+}
+
+// Read the index and outbox. Recordings from before the server store (kept under "recordings",
+// keyed by name) are moved into the outbox so they upload on the next sync.
+async function loadRecordingStore() {
+  const stored = await chrome.storage.local.get(['recordingIndex', 'recordingOutbox', 'recordings']);
+  const index = stored.recordingIndex || [];
+  const outbox = stored.recordingOutbox || [];
+
+  if (stored.recordings) {
+    for (const recording of Object.values(stored.recordings)) {
+      outbox.push({
+        opId: crypto.randomUUID(),
+        op: 'save',
+        id: crypto.randomUUID(),
+        name: recording.name,
+        actions: recording.actions || [],
+        createdAt: recording.createdAt,
+        url: recording.url || ''
+      });
+    }
+    await chrome.storage.local.set({ recordingOutbox: outbox });
+    await chrome.storage.local.remove('recordings');
+  }
+
+  return { index, outbox };
+}
+
+// Queue a change for the server and send it right away if connected
+async function queueRecordingOp(op) {
+  await withRecordingStore(async () => {
+    const { outbox } = await loadRecordingStore();
+    outbox.push({ opId: crypto.randomUUID(), ...op });
+    await chrome.storage.local.set({ recordingOutbox: outbox });
+  });
+  flushRecordingOutbox();
+}
+
+// Send the outbox to the server. An empty outbox still fetches the server's list.
+async function flushRecordingOutbox() {
+  if (!isConnected()) return;
+  const { outbox } = await withRecordingStore(loadRecordingStore);
+  send({ type: 'recordings_sync', ops: outbox });
+}
+
+// Take the server's list as the new index and drop the ops it has handled
+async function receiveRecordings(recordings, results) {
+  await withRecordingStore(async () => {
+    const { outbox } = await loadRecordingStore();
+    const handled = new Set(results.map(result => result.opId));
+    const { recordingNotices = [] } = await chrome.storage.local.get('recordingNotices');
+    for (const result of results) {
+      if (!result.success) {
+        recordingNotices.push(result.error);
+      } else if (result.requestedName) {
+        recordingNotices.push(`"${result.requestedName}" already existed on the server, so it was saved as "${result.name}"`);
+      }
+    }
+    await chrome.storage.local.set({
+      recordingIndex: recordings,
+      recordingOutbox: outbox.filter(op => !handled.has(op.opId)),
+      recordingNotices: recordingNotices.slice(-MAX_RECORDING_NOTICES)
+    });
+  });
+}
+
+// Notices the popup hasn't shown yet, cleared as they are read
+function takeRecordingNotices() {
+  return withRecordingStore(async () => {
+    const { recordingNotices = [] } = await chrome.storage.local.get('recordingNotices');
+    if (recordingNotices.length) {
+      await chrome.storage.local.remove('recordingNotices');
+    }
+    return recordingNotices;
+  });
+}
+
+// Saved recordings as the popup should show them: the server's list with unsynced changes applied
+async function listRecordings() {
+  const { index, outbox } = await withRecordingStore(loadRecordingStore);
+  let recordings = index.map(recording => ({ ...recording, pending: false }));
+
+  for (const op of outbox) {
+    if (op.op === 'save') {
+      recordings.push({
+        id: op.id,
+        name: op.name,
+        actionCount: op.actions.length,
+        createdAt: op.createdAt,
+        url: op.url,
+        pending: true
+      });
+    } else if (op.op === 'rename') {
+      recordings = recordings.map(recording => recording.id === op.id ? { ...recording, name: op.name, pending: true } : recording);
+    } else if (op.op === 'delete') {
+      recordings = recordings.filter(recording => recording.id !== op.id);
+    }
+  }
+
+  return recordings.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+}
+
+// Rename a saved recording by id
+async function renameRecording(id, name) {
+  const recordings = await listRecordings();
+  if (!recordings.some(recording => recording.id === id)) {
+    throw new Error('Recording not found');
+  }
+  if (recordings.some(recording => recording.id !== id && recording.name === name)) {
+    throw new Error(`A recording named "${name}" already exists`);
+  }
+  await queueRecordingOp({ op: 'rename', id, name });
+  return { success: true, id, name };
+}
+
+// Delete a saved recording by id
+async function deleteRecording(id) {
+  const recordings = await listRecordings();
+  if (!recordings.some(recording => recording.id === id)) {
+    throw new Error('Recording not found');
+  }
+  await queueRecordingOp({ op: 'delete', id });
+  return { success: true, deleted: id };
+}
+
+// Handle messages from popup and content scripts
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'get_status') {
     sendResponse({
       connected: ws && ws.readyState === WebSocket.OPEN,
@@ -1210,11 +4078,31 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.type === 'list_recordings') {
+    Promise.all([listRecordings(), takeRecordingNotices()])
+      .then(([recordings, notices]) => sendResponse({ success: true, recordings, notices }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  if (message.type === 'rename_recording') {
+    renameRecording(message.id, message.name)
+      .then(result => sendResponse(result))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  if (message.type === 'delete_recording') {
+    deleteRecording(message.id)
+      .then(result => sendResponse(result))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
   if (message.type === 'record_action') {
     // Action recorded by content script
-    if (isRecording && message.action) {
-      currentRecording.push(message.action);
-      console.log('[Background] Recorded action:', message.action.type, message.action.selector);
+    if (isRecording && message.action && sender.tab && recordingTabs.has(sender.tab.id)) {
+      addRecordedAction(message.action, sender.tab.id, sender.frameId, sender.tab.url);
     }
     sendResponse({ success: true });
     return true;
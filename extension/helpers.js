@@ -0,0 +1,1065 @@
+/**
+ * Page Helpers
+ * Shared DOM logic injected into pages before executeScript functions that need it
+ * (shadow-piercing selectors, locators, accessibility roles and names, snapshot refs, actionability checks).
+ * Also injected before recorder.js, so recorded selectors use the same matching. Exposed as window.__mcpHelpers.
+ */
+
+(function() {
+  // Prevent multiple injections
+  if (window.__mcpHelpers) return;
+
+  // Roles an agent can act on - these get refs in accessibility snapshots
+  const INTERACTIVE_ROLES = new Set([
+    'button', 'link', 'textbox', 'searchbox', 'checkbox', 'radio', 'combobox',
+    'listbox', 'option', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'tab',
+    'switch', 'slider', 'spinbutton', 'treeitem'
+  ]);
+
+  // Roles whose accessible name comes from their content
+  const NAME_FROM_CONTENT = new Set([
+    'button', 'link', 'heading', 'option', 'cell', 'columnheader', 'rowheader',
+    'tab', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'checkbox', 'radio',
+    'switch', 'treeitem', 'tooltip', 'listitem', 'row', 'legend', 'caption'
+  ]);
+
+  // Roles that carry no meaning of their own; their children are hoisted
+  const GENERIC_ROLES = new Set(['generic', 'none', 'presentation']);
+
+  // Input types mapped to roles
+  const INPUT_ROLES = {
+    button: 'button', submit: 'button', reset: 'button', image: 'button',
+    checkbox: 'checkbox', radio: 'radio', range: 'slider', number: 'spinbutton',
+    search: 'searchbox', email: 'textbox', tel: 'textbox', text: 'textbox',
+    url: 'textbox', password: 'textbox'
+  };
+
+  // ========== Selectors ==========
+
+  /**
+   * Shadow root of an element, open or closed (content scripts can reach closed roots)
+   */
+  function shadowRootOf(el) {
+    if (el.shadowRoot) return el.shadowRoot;
+    if (!(el instanceof HTMLElement)) return null;
+    return chrome.dom?.openOrClosedShadowRoot?.(el) || null;
+  }
+
+  /**
+   * Every shadow root inside a root, including nested ones
+   */
+  function shadowRootsUnder(root) {
+    const roots = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+    for (let node = walker.currentNode; node; node = walker.nextNode()) {
+      const shadow = node.nodeType === Node.ELEMENT_NODE && shadowRootOf(node);
+      if (shadow) {
+        roots.push(shadow, ...shadowRootsUnder(shadow));
+      }
+    }
+    return roots;
+  }
+
+  /**
+   * All elements matching a CSS selector in a root and every shadow root beneath it
+   */
+  function queryAllDeep(selector, root = document) {
+    const scopes = [root, ...shadowRootsUnder(root)];
+    return scopes.flatMap(scope => Array.from(scope.querySelectorAll(selector)));
+  }
+
+  /**
+   * Find all elements matching a CSS selector inside a root.
+   * "host >>> inner" matches inner anywhere inside host, crossing shadow boundaries (chain as many as needed).
+   * Plain selectors search the root first and fall back to searching inside shadow roots.
+   */
+  function queryCss(selector, root = document) {
+    const parts = selector.split('>>>').map(part => part.trim());
+    if (parts.some(part => !part)) {
+      throw new Error(`Invalid selector: ${selector}`);
+    }
+    if (parts.length === 1) {
+      const light = root.querySelectorAll(selector);
+      return light.length > 0 ? Array.from(light) : queryAllDeep(selector, root);
+    }
+    let matches = queryAllDeep(parts[0], root);
+    for (const part of parts.slice(1)) {
+      matches = [...new Set(matches.flatMap(host => queryAllDeep(part, host)))];
+    }
+    return matches;
+  }
+
+  /**
+   * Find all elements matching a CSS selector or a locator (see resolveLocator)
+   */
+  function findAll(selector) {
+    return isLocator(selector) ? resolveLocator(selector) : queryCss(selector);
+  }
+
+  /**
+   * Find the element a selector targets. Returns { element } (null when nothing matches yet)
+   * or { error } for invalid selectors and locators matching more than one element.
+   * CSS selectors take the first match; locators are strict.
+   */
+  function locate(selector) {
+    try {
+      if (!isLocator(selector)) {
+        const light = selector.includes('>>>') ? null : document.querySelector(selector);
+        return { element: light || queryCss(selector)[0] || null };
+      }
+      const matches = resolveLocator(selector);
+      if (matches.length > 1) {
+        return { error: ambiguousError(selector, matches) };
+      }
+      return { element: matches[0] || null };
+    } catch (err) {
+      return { error: `Invalid selector "${selector}": ${err.message}` };
+    }
+  }
+
+  /**
+   * The focused element. document.activeElement stops at the shadow host; this follows focus inside.
+   */
+  function deepActiveElement() {
+    let el = document.activeElement;
+    while (el && shadowRootOf(el)?.activeElement) {
+      el = shadowRootOf(el).activeElement;
+    }
+    return el;
+  }
+
+  /**
+   * Children of a node in the rendered (flat) tree: a host's shadow content, a slot's assigned nodes
+   */
+  function composedChildren(el) {
+    const shadow = shadowRootOf(el);
+    if (shadow) return shadow.childNodes;
+    // Flattened: nested slots resolve to what they render, empty slots to their fallback content
+    if (el.tagName === 'SLOT') return el.assignedNodes({ flatten: true });
+    return el.childNodes;
+  }
+
+  // ========== Accessibility ==========
+
+  /**
+   * Get a stable ref for an element, assigning a new one if needed.
+   * Refs stay the same across snapshots of the same document.
+   */
+  function refFor(el) {
+    window.__mcpRefCounter = window.__mcpRefCounter || 0;
+    if (!el.dataset.mcpRef) {
+      el.dataset.mcpRef = `e${++window.__mcpRefCounter}`;
+    }
+    return el.dataset.mcpRef;
+  }
+
+  /**
+   * Whether an element is hidden from the accessibility tree
+   */
+  function isHidden(el) {
+    if (el.hidden || el.getAttribute('aria-hidden') === 'true') return true;
+    if (el.tagName === 'INPUT' && el.type === 'hidden') return true;
+    const style = getComputedStyle(el);
+    return style.display === 'none' || style.visibility === 'hidden';
+  }
+
+  /**
+   * Compute the ARIA role of an element (explicit role attribute, else the implicit role)
+   */
+  function getRole(el) {
+    const explicit = el.getAttribute('role');
+    if (explicit) return explicit.trim().split(/\s+/)[0];
+
+    const tag = el.tagName.toLowerCase();
+    switch (tag) {
+      case 'a':
+      case 'area':
+        return el.hasAttribute('href') ? 'link' : 'generic';
+      case 'button':
+        return 'button';
+      case 'input':
+        if (el.type === 'text' && el.hasAttribute('list')) return 'combobox';
+        return INPUT_ROLES[el.type] || (el.type === 'hidden' ? 'none' : 'textbox');
+      case 'textarea':
+        return 'textbox';
+      case 'select':
+        return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+      case 'option':
+        return 'option';
+      case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+        return 'heading';
+      case 'img':
+        return el.getAttribute('alt') === '' ? 'presentation' : 'img';
+      case 'nav':
+        return 'navigation';
+      case 'main':
+        return 'main';
+      case 'aside':
+        return 'complementary';
+      case 'header':
+        return el.closest('article, aside, main, nav, section') ? 'generic' : 'banner';
+      case 'footer':
+        return el.closest('article, aside, main, nav, section') ? 'generic' : 'contentinfo';
+      case 'form':
+        return getAccessibleName(el) ? 'form' : 'generic';
+      case 'section':
+        return getAccessibleName(el) ? 'region' : 'generic';
+      case 'search':
+        return 'search';
+      case 'article':
+        return 'article';
+      case 'ul':
+      case 'ol':
+      case 'menu':
+        return 'list';
+      case 'li':
+        return 'listitem';
+      case 'dl':
+        return 'list';
+      case 'dt':
+        return 'term';
+      case 'dd':
+        return 'definition';
+      case 'table':
+        return 'table';
+      case 'thead':
+      case 'tbody':
+      case 'tfoot':
+        return 'rowgroup';
+      case 'tr':
+        return 'row';
+      case 'td':
+        return 'cell';
+      case 'th':
+        return el.scope === 'row' ? 'rowheader' : 'columnheader';
+      case 'caption':
+        return 'caption';
+      case 'dialog':
+        return 'dialog';
+      case 'details':
+        return 'group';
+      case 'summary':
+        return 'button';
+      case 'fieldset':
+        return 'group';
+      case 'legend':
+        return 'legend';
+      case 'figure':
+        return 'figure';
+      case 'progress':
+        return 'progressbar';
+      case 'meter':
+        return 'meter';
+      case 'output':
+        return 'status';
+      case 'hr':
+        return 'separator';
+      case 'p':
+        return 'paragraph';
+      case 'blockquote':
+        return 'blockquote';
+      case 'code':
+        return 'code';
+      case 'iframe':
+        return 'iframe';
+      default:
+        return 'generic';
+    }
+  }
+
+  /**
+   * Text of an element as used for names computed from content
+   */
+  function textOf(el) {
+    return (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Compute the accessible name of an element (simplified accname algorithm)
+   */
+  function getAccessibleName(el) {
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      // IDs resolve within the element's own tree (document or shadow root)
+      const root = el.getRootNode();
+      const name = labelledBy.split(/\s+/)
+        .map(id => root.getElementById?.(id) || document.getElementById(id))
+        .filter(Boolean)
+        .map(textOf)
+        .join(' ')
+        .trim();
+      if (name) return name;
+    }
+
+    const ariaLabel = el.getAttribute('aria-label');
+    if (ariaLabel && ariaLabel.trim()) return ariaLabel.trim();
+
+    const tag = el.tagName.toLowerCase();
+
+    // Form controls: associated <label>s
+    if (el.labels && el.labels.length > 0) {
+      const name = Array.from(el.labels).map(textOf).join(' ').trim();
+      if (name) return name;
+    }
+
+    if (tag === 'input' && ['button', 'submit', 'reset'].includes(el.type)) {
+      return el.value || (el.type === 'submit' ? 'Submit' : el.type === 'reset' ? 'Reset' : '');
+    }
+    if (tag === 'input' && el.type === 'image') {
+      return el.alt || el.title || 'Submit';
+    }
+    if (tag === 'img' || tag === 'area') {
+      const alt = el.getAttribute('alt');
+      if (alt) return alt.trim();
+    }
+    if (tag === 'fieldset') {
+      const legend = el.querySelector(':scope > legend');
+      if (legend) return textOf(legend);
+    }
+    if (tag === 'table') {
+      const caption = el.querySelector(':scope > caption');
+      if (caption) return textOf(caption);
+    }
+    if (tag === 'figure') {
+      const figcaption = el.querySelector(':scope > figcaption');
+      if (figcaption) return textOf(figcaption);
+    }
+
+    const explicitRole = el.getAttribute('role');
+    const role = explicitRole ? explicitRole.trim().split(/\s+/)[0] : null;
+    if (NAME_FROM_CONTENT.has(role || getImplicitContentRole(tag))) {
+      const text = textOf(el);
+      if (text) return text.slice(0, 200);
+    }
+
+    if (el.placeholder) return el.placeholder;
+    if (el.title) return el.title;
+    return '';
+  }
+
+  // Implicit role for name-from-content purposes, without recursing into getRole
+  function getImplicitContentRole(tag) {
+    if (/^h[1-6]$/.test(tag)) return 'heading';
+    return {
+      a: 'link', button: 'button', option: 'option', td: 'cell', th: 'columnheader',
+      li: 'listitem', tr: 'row', summary: 'button', legend: 'legend', caption: 'caption'
+    }[tag] || null;
+  }
+
+  /**
+   * Accessibility states of an element (only the ones that are set)
+   */
+  function getStates(el, role) {
+    const states = {};
+    const aria = (name) => el.getAttribute(`aria-${name}`);
+
+    if (aria('expanded') !== null) {
+      states.expanded = aria('expanded') === 'true';
+    } else if (el.tagName === 'DETAILS') {
+      states.expanded = el.open;
+    } else if (el.tagName === 'SUMMARY' && el.parentElement?.tagName === 'DETAILS') {
+      states.expanded = el.parentElement.open;
+    }
+
+    if (aria('checked') !== null) {
+      states.checked = aria('checked') === 'mixed' ? 'mixed' : aria('checked') === 'true';
+    } else if (el.tagName === 'INPUT' && (el.type === 'checkbox' || el.type === 'radio')) {
+      states.checked = el.indeterminate ? 'mixed' : el.checked;
+    }
+
+    if (aria('selected') !== null) {
+      states.selected = aria('selected') === 'true';
+    } else if (el.tagName === 'OPTION') {
+      states.selected = el.selected;
+    }
+
+    if (aria('pressed') !== null) {
+      states.pressed = aria('pressed') === 'mixed' ? 'mixed' : aria('pressed') === 'true';
+    }
+    if (el.required || aria('required') === 'true') states.required = true;
+    if (aria('invalid') && aria('invalid') !== 'false') {
+      states.invalid = true;
+    } else if (el.matches?.(':user-invalid')) {
+      states.invalid = true;
+    }
+    if (el.disabled || aria('disabled') === 'true') states.disabled = true;
+    if (deepActiveElement() === el) states.focused = true;
+
+    if (role === 'heading') {
+      const level = aria('level') || el.tagName.match(/^H([1-6])$/)?.[1];
+      if (level) states.level = Number(level);
+    }
+
+    const live = aria('live') || { alert: 'assertive', status: 'polite', log: 'polite' }[role];
+    if (live && live !== 'off') states.live = live;
+
+    if (['textbox', 'searchbox', 'combobox', 'spinbutton', 'slider'].includes(role) && el.value) {
+      states.value = String(el.value).slice(0, 100);
+    }
+    return states;
+  }
+
+  function isFocusable(el) {
+    return el.tabIndex >= 0 && !el.disabled;
+  }
+
+  /**
+   * Build a nested accessibility tree for a subtree of the DOM.
+   * Generic containers are dropped and their children hoisted into the nearest meaningful ancestor.
+   * Follows the rendered tree: shadow roots are descended into and slots replaced by their slotted content.
+   */
+  function buildAccessibilityTree(root = document.body) {
+    const refs = [];
+
+    function visit(node, parentNameFromContent) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        const text = node.textContent.replace(/\s+/g, ' ').trim();
+        if (!text || parentNameFromContent) return [];
+        return [{ role: 'text', name: text.slice(0, 200) }];
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return [];
+
+      const el = node;
+      if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(el.tagName)) return [];
+      if (isHidden(el)) return [];
+
+      const role = getRole(el);
+      const nameFromContent = NAME_FROM_CONTENT.has(role);
+      const children = [];
+      for (const child of composedChildren(el)) {
+        children.push(...visit(child, nameFromContent || parentNameFromContent));
+      }
+
+      if (GENERIC_ROLES.has(role) && !isFocusable(el)) {
+        return children;
+      }
+
+      const entry = { role: GENERIC_ROLES.has(role) ? 'generic' : role };
+      const name = getAccessibleName(el);
+      if (name) entry.name = name;
+
+      if (INTERACTIVE_ROLES.has(role) || isFocusable(el)) {
+        entry.ref = refFor(el);
+        refs.push(entry.ref);
+      }
+      Object.assign(entry, getStates(el, role));
+      if (children.length > 0) entry.children = children;
+      return [entry];
+    }
+
+    const children = visit(root, false);
+    return {
+      tree: { role: 'document', name: document.title, children },
+      refs
+    };
+  }
+
+  // ========== Locators ==========
+
+  const LOCATOR_STEP = /^(role|text|label|placeholder|testid|css|nth)=([\s\S]*)$/;
+
+  // Attributes accepted in role=...[attr=value], besides name
+  const ROLE_STATES = ['checked', 'disabled', 'expanded', 'pressed', 'selected', 'level'];
+
+  // Elements that never match text locators
+  const NON_TEXT_TAGS = new Set(['HTML', 'HEAD', 'TITLE', 'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE']);
+
+  /**
+   * Split a locator into its ">>" steps, ignoring ">>" inside quotes and the ">>>" shadow combinator
+   */
+  function splitChain(selector) {
+    const steps = [];
+    let current = '';
+    let quote = null;
+    for (let i = 0; i < selector.length; i++) {
+      const char = selector[i];
+      if (quote) {
+        current += char;
+        if (char === '\\') {
+          current += selector[++i] ?? '';
+        } else if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '"' || char === "'") {
+        quote = char;
+        current += char;
+      } else if (selector.startsWith('>>>', i)) {
+        current += '>>>';
+        i += 2;
+      } else if (selector.startsWith('>>', i)) {
+        steps.push(current.trim());
+        current = '';
+        i += 1;
+      } else {
+        current += char;
+      }
+    }
+    steps.push(current.trim());
+    return steps;
+  }
+
+  /**
+   * Whether a selector uses locator syntax rather than plain CSS
+   */
+  function isLocator(selector) {
+    return LOCATOR_STEP.test(selector.trim()) || splitChain(selector).length > 1;
+  }
+
+  /**
+   * Parse a locator value. Quoted values match exactly; unquoted ones are case-insensitive substrings.
+   */
+  function parseValue(raw) {
+    const value = raw.trim();
+    const quote = value[0];
+    if ((quote === '"' || quote === "'") && value.length > 1 && value.endsWith(quote)) {
+      return { value: value.slice(1, -1).replace(/\\(.)/g, '$1'), exact: true };
+    }
+    return { value, exact: false };
+  }
+
+  function matchesText(actual, { value, exact }) {
+    const text = (actual || '').replace(/\s+/g, ' ').trim();
+    return exact ? text === value : text.toLowerCase().includes(value.toLowerCase());
+  }
+
+  /**
+   * Parse the body of a role locator: 'button[name="Save"][pressed]'
+   */
+  function parseRole(body) {
+    const match = /^\s*([a-z]+)\s*((?:\[[^\]]*\]\s*)*)$/i.exec(body);
+    if (!match) throw new Error(`Invalid role locator: role=${body}`);
+    const attributes = [];
+    const attributePattern = /\[\s*([a-z]+)\s*(?:=\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^\]]*?))?\s*\]/gi;
+    for (const [, name, raw] of match[2].matchAll(attributePattern)) {
+      const key = name.toLowerCase();
+      if (key !== 'name' && !ROLE_STATES.includes(key)) {
+        throw new Error(`Unsupported role attribute "${name}". Use name or ${ROLE_STATES.join(', ')}.`);
+      }
+      attributes.push({ name: key, ...(raw === undefined ? { value: 'true', exact: true } : parseValue(raw)) });
+    }
+    return { role: match[1].toLowerCase(), attributes };
+  }
+
+  function matchesRole(el, { role, attributes }) {
+    if (getRole(el) !== role) return false;
+    const states = attributes.some(attr => attr.name !== 'name') ? getStates(el, role) : null;
+    return attributes.every(attr => {
+      if (attr.name === 'name') return matchesText(getAccessibleName(el), attr);
+      const actual = states[attr.name] ?? false;
+      return String(actual) === attr.value.toLowerCase();
+    });
+  }
+
+  /**
+   * Texts that label a form control: <label>s, aria-labelledby and aria-label
+   */
+  function labelsOf(el) {
+    const texts = [];
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const root = el.getRootNode();
+      labelledBy.split(/\s+/)
+        .map(id => root.getElementById?.(id) || document.getElementById(id))
+        .filter(Boolean)
+        .forEach(label => texts.push(textOf(label)));
+    }
+    if (el.labels) {
+      Array.from(el.labels).forEach(label => texts.push(textOf(label)));
+    }
+    const ariaLabel = el.getAttribute('aria-label');
+    if (ariaLabel) texts.push(ariaLabel);
+    return texts.filter(Boolean);
+  }
+
+  /**
+   * Text an element shows for text= locators (button-like inputs show their value)
+   */
+  function visibleTextOf(el) {
+    if (el.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(el.type)) return el.value;
+    return el.textContent;
+  }
+
+  function isVisible(el) {
+    if (el.closest('[aria-hidden="true"]')) return false;
+    return el.checkVisibility ? el.checkVisibility({ visibilityProperty: true }) : true;
+  }
+
+  // Hidden duplicates (collapsed menus, off-screen templates) shouldn't make a locator ambiguous
+  function preferVisible(elements) {
+    const visible = elements.filter(isVisible);
+    return visible.length > 0 ? visible : elements;
+  }
+
+  /**
+   * Run one locator step inside a root element (or the document)
+   */
+  function runStep(engine, body, root) {
+    if (engine === 'css') return queryCss(body, root);
+
+    const candidates = queryAllDeep('*', root);
+    switch (engine) {
+      case 'role': {
+        const role = parseRole(body);
+        return candidates.filter(el => matchesRole(el, role));
+      }
+      case 'text': {
+        const text = parseValue(body);
+        const matches = candidates.filter(el => !NON_TEXT_TAGS.has(el.tagName) && matchesText(visibleTextOf(el), text));
+        // Innermost elements only - their ancestors contain the same text
+        return matches.filter(el => !matches.some(other => other !== el && el.contains(other)));
+      }
+      case 'label': {
+        const label = parseValue(body);
+        return candidates.filter(el => labelsOf(el).some(text => matchesText(text, label)));
+      }
+      case 'placeholder': {
+        const placeholder = parseValue(body);
+        return candidates.filter(el => el.hasAttribute('placeholder') && matchesText(el.getAttribute('placeholder'), placeholder));
+      }
+      case 'testid': {
+        const { value } = parseValue(body);
+        return candidates.filter(el => el.getAttribute('data-testid') === value);
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Resolve a locator to the elements it matches.
+   * Steps: role=button[name="Save"], text="Sign in", label=Email, placeholder=Search, testid=submit,
+   * css=<selector> (or plain CSS) and nth=<index> (0-based, negative counts from the end).
+   * Steps chained with ">>" search inside the previous step's matches.
+   */
+  function resolveLocator(selector) {
+    let matches = null;
+    for (const step of splitChain(selector)) {
+      if (!step) throw new Error('Empty step in locator chain');
+      const [, engine, body] = LOCATOR_STEP.exec(step) || [null, 'css', step];
+      if (engine === 'nth') {
+        const index = Number(body.trim());
+        if (!matches) throw new Error('nth= must follow another step, e.g. role=listitem >> nth=2');
+        if (!Number.isInteger(index)) throw new Error(`Invalid nth index: ${body}`);
+        const el = matches.at(index);
+        matches = el ? [el] : [];
+        continue;
+      }
+      const found = new Set();
+      for (const root of matches || [document]) {
+        runStep(engine, body, root).forEach(el => found.add(el));
+      }
+      matches = preferVisible([...found]);
+    }
+    return matches;
+  }
+
+  /**
+   * Error for a locator matching several elements, listing them
+   */
+  function ambiguousError(selector, matches) {
+    const MAX_LISTED = 10;
+    const lines = matches.slice(0, MAX_LISTED).map((el, index) => {
+      const name = getAccessibleName(el);
+      return `  [${index}] ${describeElement(el)} (role ${getRole(el)})${name ? ` "${name.slice(0, 60)}"` : ''}`;
+    });
+    if (matches.length > MAX_LISTED) {
+      lines.push(`  ... and ${matches.length - MAX_LISTED} more`);
+    }
+    return `Locator ${selector} matched ${matches.length} elements. Make it more specific or pick one with ">> nth=<index>":\n${lines.join('\n')}`;
+  }
+
+  function quoteValue(value) {
+    return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  }
+
+  /**
+   * Every selector that uniquely identifies an element, best first, as { strategy, selector }.
+   * Prefers what users see over page structure: id, test id, role and name, label, placeholder, text,
+   * then CSS (classes, input name), and finally an nth-child path, which is always included.
+   * Recordings keep the list so replay can fall back when the page changes. Each check scans the
+   * whole page, so the search stops after limit unique selectors (not counting the path).
+   */
+  function selectorCandidates(el, limit = Infinity) {
+    const candidates = [];
+    const full = () => candidates.length >= limit;
+    const isUnique = (selector) => {
+      try {
+        const matches = findAll(selector);
+        return matches.length === 1 && matches[0] === el;
+      } catch {
+        return false;
+      }
+    };
+    const add = (strategy, selector) => {
+      if (!full() && !candidates.some(candidate => candidate.selector === selector) && isUnique(selector)) {
+        candidates.push({ strategy, selector });
+      }
+    };
+    const tag = el.tagName.toLowerCase();
+
+    // ID (most stable)
+    if (el.id && !el.id.match(/^\d/) && !el.id.includes(':')) {
+      add('id', `#${CSS.escape(el.id)}`);
+    }
+
+    // Test attributes
+    const testId = el.getAttribute('data-testid');
+    if (testId) {
+      add('testid', `testid=${quoteValue(testId)}`);
+    }
+    for (const attr of ['data-cy', 'data-test', 'data-automation-id']) {
+      const value = el.getAttribute(attr);
+      if (value) {
+        add('testid', `[${attr}="${CSS.escape(value)}"]`);
+      }
+    }
+
+    // Role and accessible name
+    const role = getRole(el);
+    const name = getAccessibleName(el);
+    if (!GENERIC_ROLES.has(role) && name && name.length <= 80) {
+      add('role', `role=${role}[name=${quoteValue(name)}]`);
+    }
+
+    // Form controls: label, then placeholder
+    const label = labelsOf(el)[0];
+    if (label && label.length <= 80) {
+      add('label', `label=${quoteValue(label)}`);
+    }
+    if (el.placeholder) {
+      add('placeholder', `placeholder=${quoteValue(el.placeholder)}`);
+    }
+
+    // Short visible text
+    const text = (visibleTextOf(el) || '').replace(/\s+/g, ' ').trim();
+    if (text && text.length <= 50) {
+      add('text', `text=${quoteValue(text)}`);
+    }
+
+    // Unique class combination
+    if (!full() && el.className && typeof el.className === 'string') {
+      const classes = el.className.trim().split(/\s+/).filter(c =>
+        c && !c.match(/^(hover|active|focus|visited|disabled)/) && !c.match(/^\d/)
+      );
+      const single = classes.find(cls => isUnique(`.${CSS.escape(cls)}`));
+      if (single) {
+        add('css', `.${CSS.escape(single)}`);
+      } else if (classes.length > 1) {
+        add('css', classes.slice(0, 3).map(c => `.${CSS.escape(c)}`).join(''));
+      }
+    }
+
+    // Inputs by name
+    if (tag === 'input' && el.name) {
+      add('css', `input[name="${CSS.escape(el.name)}"]`);
+    }
+
+    // Path with nth-child
+    const path = [];
+    let current = el;
+    while (current && current !== document.body && path.length < 5) {
+      let selector = current.tagName.toLowerCase();
+
+      if (current.id && !current.id.match(/^\d/)) {
+        selector = `#${CSS.escape(current.id)}`;
+        path.unshift(selector);
+        break;
+      }
+
+      const parent = current.parentElement;
+      if (parent) {
+        const siblings = Array.from(parent.children).filter(s => s.tagName === current.tagName);
+        if (siblings.length > 1) {
+          selector += `:nth-child(${Array.from(parent.children).indexOf(current) + 1})`;
+        }
+      }
+
+      path.unshift(selector);
+      current = parent;
+    }
+    const pathSelector = path.join(' > ');
+    if (!candidates.some(candidate => candidate.selector === pathSelector)) {
+      candidates.push({ strategy: 'path', selector: pathSelector });
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Generate a selector that uniquely identifies an element, using the same matching as locate().
+   * The first of selectorCandidates().
+   */
+  function generateSelector(el) {
+    return selectorCandidates(el, 1)[0].selector;
+  }
+
+  // ========== Fingerprints ==========
+
+  // Attributes worth remembering about a recorded element
+  const FINGERPRINT_ATTRIBUTES = ['name', 'type', 'href', 'placeholder', 'title', 'alt', 'aria-label', 'data-testid'];
+
+  // Share of the possible fingerprint score an element needs to count as the recorded one
+  const FINGERPRINT_THRESHOLD = 0.6;
+
+  /**
+   * What an element looked like when it was recorded: tag, id, role, accessible name, text,
+   * classes and a few identifying attributes. Used to find it again when every selector breaks.
+   */
+  function fingerprintOf(el) {
+    const attributes = {};
+    for (const attr of FINGERPRINT_ATTRIBUTES) {
+      const value = el.getAttribute(attr);
+      if (value) attributes[attr] = value.slice(0, 200);
+    }
+    const classes = typeof el.className === 'string' ? el.className.trim().split(/\s+/).filter(Boolean) : [];
+    return {
+      tag: el.tagName.toLowerCase(),
+      id: el.id || null,
+      role: getRole(el),
+      name: (getAccessibleName(el) || '').slice(0, 100),
+      text: (visibleTextOf(el) || '').replace(/\s+/g, ' ').trim().slice(0, 100),
+      classes: classes.slice(0, 10),
+      attributes
+    };
+  }
+
+  /**
+   * How closely an element matches a fingerprint: [score, best possible score]
+   */
+  function fingerprintScore(el, fingerprint) {
+    const current = fingerprintOf(el);
+    let score = 0;
+    let possible = 0;
+    const compare = (weight, expected, actual) => {
+      if (!expected) return;
+      possible += weight;
+      if (expected === actual) score += weight;
+    };
+    compare(3, fingerprint.id, current.id);
+    compare(2, fingerprint.name, current.name);
+    compare(2, fingerprint.text, current.text);
+    compare(1, fingerprint.role, current.role);
+    for (const [attr, value] of Object.entries(fingerprint.attributes || {})) {
+      compare(attr === 'data-testid' ? 3 : 1, value, current.attributes[attr]);
+    }
+    if (fingerprint.classes?.length) {
+      possible += 2;
+      score += 2 * fingerprint.classes.filter(cls => current.classes.includes(cls)).length / fingerprint.classes.length;
+    }
+    return [score, possible];
+  }
+
+  /**
+   * Find the element that best matches a fingerprint, among elements with the same tag.
+   * Returns { element, score } (score 0-1), or null when nothing is close enough or two elements tie.
+   */
+  function findByFingerprint(fingerprint) {
+    if (!fingerprint?.tag) return null;
+    const ranked = preferVisible(queryAllDeep(fingerprint.tag))
+      .map(element => {
+        const [score, possible] = fingerprintScore(element, fingerprint);
+        return { element, score: possible ? score / possible : 0 };
+      })
+      .sort((a, b) => b.score - a.score);
+    const [best, runnerUp] = ranked;
+    if (!best || best.score < FINGERPRINT_THRESHOLD || (runnerUp && runnerUp.score === best.score)) {
+      return null;
+    }
+    return best;
+  }
+
+  // ========== Actionability ==========
+
+  const DEFAULT_ACTION_TIMEOUT = 5000;
+
+  // Requests with a wait loop running in this page, and those of them the server has given up on
+  const waitingRequests = new Set();
+  const cancelledRequests = new Set();
+
+  function cancel(requestId) {
+    if (waitingRequests.has(requestId)) {
+      cancelledRequests.add(requestId);
+    }
+  }
+
+  function isCancelled(requestId) {
+    return requestId != null && cancelledRequests.has(requestId);
+  }
+
+  /**
+   * Run a request's wait loop. cancel() reaches it while it runs; the request is forgotten once it exits.
+   */
+  async function trackWait(requestId, loop) {
+    waitingRequests.add(requestId);
+    try {
+      return await loop();
+    } finally {
+      waitingRequests.delete(requestId);
+      cancelledRequests.delete(requestId);
+    }
+  }
+
+  // Checks run before acting on an element, in order
+  const ACTION_CHECKS = {
+    click: ['visible', 'stable', 'enabled', 'receivesEvents'],
+    hover: ['visible', 'stable', 'receivesEvents'],
+    type: ['visible', 'enabled', 'editable'],
+    select: ['visible', 'enabled'],
+    // File inputs are usually visually hidden behind a styled label
+    upload: ['enabled'],
+    focus: ['visible'],
+    drop: ['visible']
+  };
+
+  /**
+   * Short description of an element for error messages, e.g. "div.modal-backdrop"
+   */
+  function describeElement(el) {
+    let description = el.tagName.toLowerCase();
+    if (el.id) {
+      description += `#${el.id}`;
+    } else if (typeof el.className === 'string' && el.className.trim()) {
+      description += '.' + el.className.trim().split(/\s+/).slice(0, 2).join('.');
+    }
+    return description;
+  }
+
+  function isDisabled(el) {
+    if (el.getAttribute('aria-disabled') === 'true') return true;
+    if (!('disabled' in el)) return false;
+    return el.disabled || !!el.closest('fieldset[disabled]');
+  }
+
+  function isEditable(el) {
+    if (el.isContentEditable) return true;
+    if (el.tagName === 'TEXTAREA') return true;
+    if (el.tagName !== 'INPUT') return false;
+    return !['button', 'submit', 'reset', 'image', 'checkbox', 'radio', 'file', 'range', 'color', 'hidden'].includes(el.type);
+  }
+
+  // Wait for the next frame. Background tabs don't run animation frames, so fall back to a timer.
+  function nextFrame() {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, 50);
+      requestAnimationFrame(() => {
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+  }
+
+  function centerOf(rect) {
+    return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+  }
+
+  /**
+   * Run actionability checks on an element.
+   * Returns null when all checks pass, otherwise the reason the element can't be acted on.
+   */
+  async function checkActionable(el, checks) {
+    if (!el.isConnected) return 'detached from the page';
+
+    for (const check of checks) {
+      switch (check) {
+        case 'visible': {
+          const rect = el.getBoundingClientRect();
+          const visible = rect.width > 0 && rect.height > 0 &&
+            (el.checkVisibility ? el.checkVisibility({ visibilityProperty: true }) : true);
+          if (!visible) return 'not visible';
+          break;
+        }
+        case 'enabled':
+          if (isDisabled(el)) return 'disabled';
+          break;
+        case 'editable':
+          if (!isEditable(el)) return 'not an editable field';
+          if (el.readOnly) return 'read-only';
+          break;
+        case 'stable': {
+          const before = el.getBoundingClientRect();
+          await nextFrame();
+          const after = el.getBoundingClientRect();
+          if (before.x !== after.x || before.y !== after.y || before.width !== after.width || before.height !== after.height) {
+            return 'not stable (still moving)';
+          }
+          break;
+        }
+        case 'receivesEvents': {
+          let rect = el.getBoundingClientRect();
+          if (rect.bottom < 0 || rect.right < 0 || rect.top > innerHeight || rect.left > innerWidth) {
+            el.scrollIntoView({ block: 'center', inline: 'center' });
+            rect = el.getBoundingClientRect();
+          }
+          const { x, y } = centerOf(rect);
+          // Hit test in the element's own tree - the document would only report its shadow host
+          const hit = el.getRootNode().elementFromPoint(x, y);
+          if (!hit) return 'outside the viewport';
+          const hitLabel = hit.closest('label');
+          if (hit !== el && !el.contains(hit) && hitLabel?.control !== el) {
+            return `covered by ${describeElement(hit)}`;
+          }
+          break;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Wait until the element matching a selector is actionable.
+   * Retries until all checks pass, the timeout expires or the request is cancelled.
+   * Returns { element, x, y, elapsed } (x/y = viewport center) or { error } naming the check that failed.
+   */
+  function waitForActionable(selector, options = {}) {
+    const timeout = options.timeout ?? DEFAULT_ACTION_TIMEOUT;
+    const checks = ACTION_CHECKS[options.action] || ACTION_CHECKS.click;
+    const startTime = Date.now();
+    let reason;
+
+    return trackWait(options.requestId, async () => {
+      while (true) {
+        const { element, error } = locate(selector);
+        if (error) return { error };
+        reason = element ? await checkActionable(element, checks) : null;
+        if (element && !reason) {
+          return { element, ...centerOf(element.getBoundingClientRect()), elapsed: Date.now() - startTime };
+        }
+        if (isCancelled(options.requestId)) {
+          return { error: 'Cancelled' };
+        }
+        if (Date.now() - startTime >= timeout) {
+          if (!element) {
+            return { error: `Element not found: ${selector} (waited ${timeout}ms)` };
+          }
+          return { error: `Element not actionable: ${selector} is ${reason} (waited ${timeout}ms)` };
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+    });
+  }
+
+  window.__mcpHelpers = {
+    INTERACTIVE_ROLES,
+    shadowRootOf,
+    queryAllDeep,
+    findAll,
+    locate,
+    isLocator,
+    generateSelector,
+    selectorCandidates,
+    fingerprintOf,
+    findByFingerprint,
+    deepActiveElement,
+    refFor,
+    isHidden,
+    getRole,
+    getAccessibleName,
+    getStates,
+    buildAccessibilityTree,
+    describeElement,
+    checkActionable,
+    waitForActionable,
+    cancel,
+    isCancelled,
+    trackWait
+  };
+})();
@@ -1,6 +1,6 @@
 /**
  * Popup Script
- * Session toggle and recording controls
+ * Session toggle, recording controls and the saved recordings list
  */
 
 const serverStatusEl = document.getElementById('server-status');
@@ -12,6 +12,9 @@ const actionCount = document.getElementById('action-count');
 const saveSection = document.getElementById('save-section');
 const recordingNameInput = document.getElementById('recording-name');
 const saveBtn = document.getElementById('save-btn');
+const savedList = document.getElementById('saved-list');
+const savedEmpty = document.getElementById('saved-empty');
+const recordingNotices = document.getElementById('recording-notices');
 
 let isRecording = false;
 let currentActionCount = 0;
@@ -72,6 +75,86 @@ async function checkStatus() {
   }
 }
 
+// Show saved recordings. Ones not yet synced to the MCP server are marked.
+function renderRecordings(recordings) {
+  savedList.textContent = '';
+  savedEmpty.classList.toggle('hidden', recordings.length > 0);
+
+  for (const recording of recordings) {
+    const item = document.createElement('li');
+    item.className = 'saved-item';
+
+    const name = document.createElement('span');
+    name.className = 'saved-name';
+    name.textContent = recording.name;
+    name.title = recording.url || recording.name;
+
+    const meta = document.createElement('span');
+    meta.className = recording.pending ? 'saved-meta pending' : 'saved-meta';
+    meta.textContent = recording.pending ? 'not synced' : `${recording.actionCount} action${recording.actionCount !== 1 ? 's' : ''}`;
+
+    const renameBtn = document.createElement('button');
+    renameBtn.className = 'icon-btn';
+    renameBtn.textContent = 'Rename';
+    renameBtn.addEventListener('click', () => renameRecording(recording));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'icon-btn';
+    deleteBtn.textContent = '✕';
+    deleteBtn.title = 'Delete';
+    deleteBtn.addEventListener('click', () => deleteRecording(recording));
+
+    item.append(name, meta, renameBtn, deleteBtn);
+    savedList.appendChild(item);
+  }
+}
+
+// Add sync notices (e.g. a name conflict resolved by the server) above the list
+function showNotices(notices) {
+  for (const text of notices) {
+    const notice = document.createElement('div');
+    notice.className = 'notice';
+    notice.textContent = text;
+    recordingNotices.appendChild(notice);
+  }
+}
+
+// Load saved recordings
+async function loadRecordings() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'list_recordings' });
+    if (response.success) {
+      renderRecordings(response.recordings);
+      showNotices(response.notices || []);
+    }
+  } catch (err) {
+    console.error('List recordings error:', err);
+  }
+}
+
+// Rename a saved recording
+async function renameRecording(recording) {
+  const name = prompt('Rename recording', recording.name)?.trim();
+  if (!name || name === recording.name) return;
+
+  const response = await chrome.runtime.sendMessage({ type: 'rename_recording', id: recording.id, name });
+  if (!response.success) {
+    alert('Failed to rename: ' + response.error);
+  }
+  await loadRecordings();
+}
+
+// Delete a saved recording
+async function deleteRecording(recording) {
+  if (!confirm(`Delete "${recording.name}"?`)) return;
+
+  const response = await chrome.runtime.sendMessage({ type: 'delete_recording', id: recording.id });
+  if (!response.success) {
+    alert('Failed to delete: ' + response.error);
+  }
+  await loadRecordings();
+}
+
 // Toggle session
 async function toggleSession() {
   try {
@@ -116,6 +199,7 @@ async function saveRecording() {
       recordingNameInput.value = '';
       saveSection.classList.add('hidden');
       await checkStatus();
+      await loadRecordings();
     } else {
       alert('Failed to save: ' + response.error);
     }
@@ -141,3 +225,7 @@ recordingNameInput.addEventListener('keydown', (e) => {
 // Check immediately and then every 1 second (faster updates during recording)
 checkStatus();
 setInterval(checkStatus, 1000);
+
+// Saved recordings change less often, and also from the server side
+loadRecordings();
+setInterval(loadRecordings, 3000);
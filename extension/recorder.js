@@ -1,6 +1,10 @@
 /**
  * Recorder Content Script
- * Captures user actions (clicks, typing, file uploads) and generates selectors
+ * Captures user actions (clicks, double and right clicks, typing including contenteditable
+ * editors, selections, file uploads, scrolls, menu-opening hovers and drag-and-drop) and
+ * generates selectors. Needs helpers.js injected first (window.__mcpHelpers).
+ * background.js injects it into every frame of the recorded tab, again after each navigation,
+ * and records navigations and new tabs itself.
  */
 
 (function() {
@@ -10,114 +14,37 @@
 
   let isRecording = false;
 
-  /**
-   * Generate a unique CSS selector for an element
-   * Tries multiple strategies to find the most robust selector
-   */
-  function generateSelector(el) {
-    // Strategy 1: ID (most stable)
-    if (el.id && !el.id.match(/^\d/) && !el.id.includes(':')) {
-      const idSelector = `#${CSS.escape(el.id)}`;
-      if (document.querySelectorAll(idSelector).length === 1) {
-        return idSelector;
-      }
-    }
+  // How long typing and scrolling must pause before the final value is recorded
+  const SETTLE_DELAY_MS = 500;
 
-    // Strategy 2: data-testid or data-cy (test attributes)
-    for (const attr of ['data-testid', 'data-cy', 'data-test', 'data-automation-id']) {
-      const value = el.getAttribute(attr);
-      if (value) {
-        const selector = `[${attr}="${CSS.escape(value)}"]`;
-        if (document.querySelectorAll(selector).length === 1) {
-          return selector;
-        }
-      }
-    }
+  // A hover counts when the page opens something this soon after the pointer arrives
+  const HOVER_WINDOW_MS = 1000;
 
-    // Strategy 3: Unique class combination
-    if (el.className && typeof el.className === 'string') {
-      const classes = el.className.trim().split(/\s+/).filter(c =>
-        c && !c.match(/^(hover|active|focus|visited|disabled)/) && !c.match(/^\d/)
-      );
-      if (classes.length > 0) {
-        // Try single unique class
-        for (const cls of classes) {
-          const selector = `.${CSS.escape(cls)}`;
-          if (document.querySelectorAll(selector).length === 1) {
-            return selector;
-          }
-        }
-        // Try class combination
-        const selector = classes.slice(0, 3).map(c => `.${CSS.escape(c)}`).join('');
-        if (document.querySelectorAll(selector).length === 1) {
-          return selector;
-        }
-      }
-    }
+  // Pointer travel that turns a press into a drag
+  const DRAG_THRESHOLD_PX = 10;
 
-    // Strategy 4: Tag + attributes
-    const tag = el.tagName.toLowerCase();
-
-    // For inputs, use type and name
-    if (tag === 'input') {
-      const type = el.type || 'text';
-      const name = el.name;
-      if (name) {
-        const selector = `input[name="${CSS.escape(name)}"]`;
-        if (document.querySelectorAll(selector).length === 1) {
-          return selector;
-        }
-      }
-      if (el.placeholder) {
-        const selector = `input[placeholder="${CSS.escape(el.placeholder)}"]`;
-        if (document.querySelectorAll(selector).length === 1) {
-          return selector;
-        }
-      }
-    }
-
-    // For buttons and links, use text content
-    if (tag === 'button' || tag === 'a') {
-      const text = el.textContent.trim().slice(0, 50);
-      if (text) {
-        // Can't use text in CSS selector, but we can use aria-label or title
-        const ariaLabel = el.getAttribute('aria-label');
-        if (ariaLabel) {
-          const selector = `${tag}[aria-label="${CSS.escape(ariaLabel)}"]`;
-          if (document.querySelectorAll(selector).length === 1) {
-            return selector;
-          }
-        }
-      }
-    }
+  // Selectors kept per recorded element besides the nth-child path - enough to fall back on
+  // without scanning the page for every strategy on each event
+  const MAX_CANDIDATES = 3;
 
-    // Strategy 5: Build path with nth-child
-    const path = [];
-    let current = el;
-    while (current && current !== document.body && path.length < 5) {
-      let selector = current.tagName.toLowerCase();
-
-      if (current.id && !current.id.match(/^\d/)) {
-        selector = `#${CSS.escape(current.id)}`;
-        path.unshift(selector);
-        break;
-      }
+  // Elements whose hover commonly opens a menu, tooltip or popover
+  const HOVER_TARGETS = 'a, button, summary, li, [role="button"], [role="menuitem"], [role="tab"], [aria-haspopup], [aria-expanded], [tabindex]';
 
-      // Add nth-child if needed
-      const parent = current.parentElement;
-      if (parent) {
-        const siblings = Array.from(parent.children).filter(s => s.tagName === current.tagName);
-        if (siblings.length > 1) {
-          const index = siblings.indexOf(current) + 1;
-          selector += `:nth-child(${index})`;
-        }
-      }
-
-      path.unshift(selector);
-      current = parent;
-    }
-
-    return path.join(' > ');
+  /**
+   * Selector fields for an element: the preferred selector, a few others that identify it
+   * (candidates, best first) and a fingerprint, so replay can fall back when the page changes.
+   * Shared with the page helpers so recorded selectors (including locators like
+   * role=button[name="Save"]) replay with the same matching. prefix names the fields, e.g. targetSelector.
+   */
+  function targetFields(el, prefix = '') {
+    const { selectorCandidates, fingerprintOf } = window.__mcpHelpers;
+    const candidates = selectorCandidates(el, MAX_CANDIDATES);
+    const field = (name) => prefix ? prefix + name[0].toUpperCase() + name.slice(1) : name;
+    return {
+      [field('selector')]: candidates[0].selector,
+      [field('candidates')]: candidates,
+      [field('fingerprint')]: fingerprintOf(el)
+    };
   }
 
   /**
@@ -136,38 +63,107 @@
     });
   }
 
+  /**
+   * The element an event really happened on, looking through open shadow roots
+   */
+  function eventTarget(e) {
+    const target = e.composedPath?.()[0] || e.target;
+    return target instanceof Element ? target : target?.parentElement || null;
+  }
+
+  function isIgnored(el) {
+    return !el || !!el.closest('[data-mcp-ignore]');
+  }
+
+  /**
+   * Outermost contenteditable element containing el (the editor itself)
+   */
+  function editableRoot(el) {
+    let root = el;
+    while (root.parentElement?.isContentEditable) {
+      root = root.parentElement;
+    }
+    return root;
+  }
+
+  // ========== Clicks ==========
+
+  // Set right after a pointer drag, so the click the browser fires afterwards isn't recorded
+  let suppressNextClick = false;
+
   /**
    * Handle click events
    */
   function handleClick(e) {
     if (!isRecording) return;
+    if (suppressNextClick) {
+      suppressNextClick = false;
+      return;
+    }
+    // The second click of a double click is recorded as part of the dblclick
+    if (e.detail > 1) return;
 
-    const el = e.target;
+    const el = eventTarget(e);
 
     // Skip if clicking on extension UI or invisible elements
-    if (el.closest('[data-mcp-ignore]')) return;
+    if (isIgnored(el)) return;
+    cancelHover();
 
-    const selector = generateSelector(el);
     const text = el.textContent?.trim().slice(0, 100) || '';
 
     recordAction({
       type: 'click',
-      selector,
+      ...targetFields(el),
       tag: el.tagName.toLowerCase(),
       text
     });
   }
 
+  /**
+   * Handle double clicks. Background drops the single click recorded just before.
+   */
+  function handleDoubleClick(e) {
+    if (!isRecording) return;
+    const el = eventTarget(e);
+    if (isIgnored(el)) return;
+
+    recordAction({
+      type: 'dblclick',
+      ...targetFields(el),
+      tag: el.tagName.toLowerCase(),
+      text: el.textContent?.trim().slice(0, 100) || ''
+    });
+  }
+
+  /**
+   * Handle right clicks (context menu)
+   */
+  function handleContextMenu(e) {
+    if (!isRecording) return;
+    const el = eventTarget(e);
+    if (isIgnored(el)) return;
+    cancelHover();
+
+    recordAction({
+      type: 'rightclick',
+      ...targetFields(el),
+      tag: el.tagName.toLowerCase(),
+      text: el.textContent?.trim().slice(0, 100) || ''
+    });
+  }
+
+  // ========== Typing and Selections ==========
+
   /**
    * Handle input/change events (for typing and selections)
    */
   function handleInput(e) {
     if (!isRecording) return;
 
-    const el = e.target;
-    if (!el.matches('input, textarea, select')) return;
+    const el = eventTarget(e);
+    if (!el || !el.matches('input, textarea, select')) return;
 
-    const selector = generateSelector(el);
+    const target = targetFields(el);
 
     if (el.type === 'file') {
       // File input - record file selection
@@ -175,7 +171,7 @@
         const file = el.files[0];
         recordAction({
           type: 'upload',
-          selector,
+          ...target,
           fileName: file.name,
           fileSize: file.size,
           mimeType: file.type
@@ -185,7 +181,7 @@
       // Select dropdown
       recordAction({
         type: 'select',
-        selector,
+        ...target,
         value: el.value,
         text: el.options[el.selectedIndex]?.text
       });
@@ -195,13 +191,34 @@
       el.__mcpInputTimeout = setTimeout(() => {
         recordAction({
           type: 'type',
-          selector,
+          ...target,
           value: el.value
         });
-      }, 500);
+      }, SETTLE_DELAY_MS);
     }
   }
 
+  /**
+   * Handle typing in contenteditable editors, which fire input but never change
+   */
+  function handleEditableInput(e) {
+    if (!isRecording) return;
+
+    const el = eventTarget(e);
+    if (!el || !el.isContentEditable) return;
+
+    const editor = editableRoot(el);
+    clearTimeout(editor.__mcpInputTimeout);
+    editor.__mcpInputTimeout = setTimeout(() => {
+      recordAction({
+        type: 'type',
+        ...targetFields(editor),
+        value: editor.innerText,
+        contentEditable: true
+      });
+    }, SETTLE_DELAY_MS);
+  }
+
   /**
    * Handle keyboard events (for special keys like Enter)
    */
@@ -212,42 +229,250 @@
     const specialKeys = ['Enter', 'Tab', 'Escape', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
     if (!specialKeys.includes(e.key)) return;
 
-    const el = e.target;
-    const selector = generateSelector(el);
-
+    const el = eventTarget(e);
+    if (!el) return;
     recordAction({
       type: 'keypress',
-      selector,
+      ...targetFields(el),
       key: e.key
     });
   }
 
+  // ========== Scrolling ==========
+
+  // Scroll in progress per scrolled thing (window or element): { startX, startY, timer }
+  const scrolls = new Map();
+
+  function scrollPosition(target) {
+    return target === window
+      ? { x: window.scrollX, y: window.scrollY }
+      : { x: target.scrollLeft, y: target.scrollTop };
+  }
+
+  /**
+   * Handle scrolling. A burst of scroll events becomes one scroll action per axis it moved on.
+   */
+  function handleScroll(e) {
+    if (!isRecording) return;
+
+    const target = e.target === document || e.target === document.documentElement || e.target === document.body ? window : e.target;
+    if (target !== window && isIgnored(target)) return;
+
+    let pending = scrolls.get(target);
+    if (!pending) {
+      // Scroll events fire after the move, so the first one's position is already past the start.
+      // The tracked previous position fixes that for all but the very first scroll.
+      const start = target.__mcpScrollPosition || scrollPosition(target);
+      pending = { startX: start.x, startY: start.y, timer: null };
+      scrolls.set(target, pending);
+    }
+
+    clearTimeout(pending.timer);
+    pending.timer = setTimeout(() => {
+      scrolls.delete(target);
+      const end = scrollPosition(target);
+      target.__mcpScrollPosition = end;
+      const fields = target === window ? { selector: null } : targetFields(target);
+      const dx = Math.round(end.x - pending.startX);
+      const dy = Math.round(end.y - pending.startY);
+      if (dy) recordAction({ type: 'scroll', ...fields, direction: dy > 0 ? 'down' : 'up', amount: Math.abs(dy) });
+      if (dx) recordAction({ type: 'scroll', ...fields, direction: dx > 0 ? 'right' : 'left', amount: Math.abs(dx) });
+    }, SETTLE_DELAY_MS);
+  }
+
+  // ========== Hovers ==========
+
+  // Element the pointer just moved onto: { el, since, hidden } - recorded if the page opens something in time
+  let hoverCandidate = null;
+  // Last hover recorded, so moving around inside an open menu doesn't record it again
+  let lastHovered = null;
+  let mutationObserver = null;
+
+  // A click or drag ends whatever the hover opened, so the same hover can count again
+  function cancelHover() {
+    hoverCandidate = null;
+    lastHovered = null;
+  }
+
   /**
-   * Handle navigation (for page loads)
+   * Handle the pointer moving onto an element that may open a menu
    */
-  function handleNavigation() {
+  function handleMouseOver(e) {
     if (!isRecording) return;
+    const el = eventTarget(e)?.closest(HOVER_TARGETS);
+    if (!el || isIgnored(el) || el === hoverCandidate?.el) return;
+    hoverCandidate = { el, since: Date.now(), hidden: hiddenNeighbours(el) };
+  }
+
+  function isShown(el) {
+    if (!(el instanceof Element) || !el.isConnected) return false;
+    const rect = el.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return false;
+    return el.checkVisibility ? el.checkVisibility({ visibilityProperty: true }) : true;
+  }
+
+  /**
+   * Whether an element sits where a hover-opened menu would: inside the hovered element, or beside it
+   * without being another item of the same list (carousel slides, sibling menu entries)
+   */
+  function isNeighbour(el, hovered) {
+    if (el.contains(hovered)) return false;
+    if (hovered.contains(el)) return true;
+    const sibling = Array.from(hovered.parentElement?.children || []).find(child => child.contains(el));
+    return !!sibling && sibling.tagName !== hovered.tagName;
+  }
+
+  // Neighbours hidden when the pointer arrives - one of them showing up means the hover opened it
+  function hiddenNeighbours(hovered) {
+    const siblings = Array.from(hovered.parentElement?.children || []);
+    return [...hovered.children, ...siblings]
+      .filter(el => el !== hovered && isNeighbour(el, hovered) && !isShown(el));
+  }
+
+  /**
+   * Whether a DOM change looks like the hovered element opening something
+   */
+  function opensPopup(mutation, { el: hovered, hidden }) {
+    if (mutation.type === 'attributes' && mutation.attributeName === 'aria-expanded') {
+      return mutation.target.getAttribute('aria-expanded') === 'true' &&
+        (mutation.target === hovered || mutation.target.contains(hovered) || hovered.contains(mutation.target));
+    }
+    if (mutation.type === 'childList') {
+      return Array.from(mutation.addedNodes).some(node =>
+        node instanceof Element && isNeighbour(node, hovered) && isShown(node)
+      );
+    }
+    // A class, style or hidden change anywhere around may be what reveals a neighbour
+    return hidden.some(isShown);
+  }
 
+  /**
+   * Watch for menus opening while a hover candidate is fresh
+   */
+  function handleMutations(mutations) {
+    if (!isRecording || !hoverCandidate) return;
+    const { el, since } = hoverCandidate;
+    if (Date.now() - since > HOVER_WINDOW_MS) {
+      hoverCandidate = null;
+      return;
+    }
+    if (el === lastHovered || !mutations.some(mutation => opensPopup(mutation, hoverCandidate))) return;
+
+    hoverCandidate = null;
+    lastHovered = el;
+    recordAction({
+      type: 'hover',
+      ...targetFields(el),
+      tag: el.tagName.toLowerCase(),
+      text: el.textContent?.trim().slice(0, 100) || ''
+    });
+  }
+
+  // ========== Drag and Drop ==========
+
+  // HTML5 drag in progress: { source }
+  let html5Drag = null;
+  // Pointer press that may turn into a drag: { el, x, y, dragging }
+  let pointerPress = null;
+
+  function handleDragStart(e) {
+    if (!isRecording) return;
+    const el = eventTarget(e);
+    if (isIgnored(el)) return;
+    cancelHover();
+    html5Drag = { source: el };
+  }
+
+  function handleDrop(e) {
+    if (!isRecording || !html5Drag) return;
+    const target = eventTarget(e);
+    const { source } = html5Drag;
+    html5Drag = null;
+    pointerPress = null;
+    if (!target || isIgnored(target) || target === source) return;
+
+    recordAction({
+      type: 'drag',
+      ...targetFields(source),
+      ...targetFields(target, 'target')
+    });
+  }
+
+  function handleDragEnd() {
+    html5Drag = null;
+    pointerPress = null;
+  }
+
+  // Drag libraries that move elements with pointer events never fire HTML5 drag events
+  function handlePointerDown(e) {
+    if (!isRecording || e.button !== 0) return;
+    const el = eventTarget(e);
+    pointerPress = isIgnored(el) ? null : { el, x: e.clientX, y: e.clientY, dragging: false };
+  }
+
+  function handlePointerMove(e) {
+    if (!pointerPress || pointerPress.dragging) return;
+    if (Math.hypot(e.clientX - pointerPress.x, e.clientY - pointerPress.y) > DRAG_THRESHOLD_PX) {
+      pointerPress.dragging = true;
+    }
+  }
+
+  function handlePointerUp(e) {
+    const press = pointerPress;
+    pointerPress = null;
+    if (!isRecording || !press?.dragging || html5Drag) return;
+
+    // Selecting text is a drag too
+    if (window.getSelection()?.toString()) return;
+
+    const target = document.elementFromPoint(e.clientX, e.clientY);
+    if (!target || isIgnored(target) || target === press.el || press.el.contains(target)) return;
+
+    suppressNextClick = true;
+    setTimeout(() => { suppressNextClick = false; }, 0);
     recordAction({
-      type: 'navigate',
-      url: window.location.href,
-      title: document.title
+      type: 'drag',
+      ...targetFields(press.el),
+      ...targetFields(target, 'target')
     });
   }
 
+  // ========== Start / Stop ==========
+
+  const LISTENERS = [
+    ['click', handleClick],
+    ['dblclick', handleDoubleClick],
+    ['contextmenu', handleContextMenu],
+    ['change', handleInput],
+    ['input', handleEditableInput],
+    ['keydown', handleKeydown],
+    ['scroll', handleScroll],
+    ['mouseover', handleMouseOver],
+    ['dragstart', handleDragStart],
+    ['drop', handleDrop],
+    ['dragend', handleDragEnd],
+    ['pointerdown', handlePointerDown],
+    ['pointermove', handlePointerMove],
+    ['pointerup', handlePointerUp]
+  ];
+
   /**
    * Start recording
    */
   function startRecording() {
+    if (isRecording) return;
     isRecording = true;
-
-    // Record initial page
-    handleNavigation();
+    window.__mcpScrollPosition = scrollPosition(window);
 
     // Add event listeners
-    document.addEventListener('click', handleClick, true);
-    document.addEventListener('change', handleInput, true);
-    document.addEventListener('keydown', handleKeydown, true);
+    LISTENERS.forEach(([type, handler]) => document.addEventListener(type, handler, true));
+    mutationObserver = new MutationObserver(handleMutations);
+    mutationObserver.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['aria-expanded', 'class', 'style', 'hidden', 'open']
+    });
 
     console.log('[MCP Recorder] Recording started');
   }
@@ -259,9 +484,12 @@
     isRecording = false;
 
     // Remove event listeners
-    document.removeEventListener('click', handleClick, true);
-    document.removeEventListener('change', handleInput, true);
-    document.removeEventListener('keydown', handleKeydown, true);
+    LISTENERS.forEach(([type, handler]) => document.removeEventListener(type, handler, true));
+    mutationObserver?.disconnect();
+    mutationObserver = null;
+    hoverCandidate = null;
+    html5Drag = null;
+    pointerPress = null;
 
     console.log('[MCP Recorder] Recording stopped');
   }
@@ -0,0 +1,589 @@
+/**
+ * Recording Export
+ * Turns a saved recording into a runnable Playwright test or Puppeteer script, or into a
+ * markdown test for bronco-tests/ that /bronco-run-tests runs.
+ * Recorded selectors are CSS or Bronco locators (role=, text=, label=, placeholder=, testid=,
+ * css=, nth=, chained with ">>"), translated to each library's own way of finding elements.
+ */
+
+export const EXPORT_FORMATS = ['playwright', 'puppeteer', 'markdown'];
+
+const LOCATOR_STEP = /^(role|text|label|placeholder|testid|css|nth)=([\s\S]*)$/;
+
+// Role attributes that are booleans in Playwright's getByRole options (level is a number)
+const BOOLEAN_ROLE_STATES = ['checked', 'disabled', 'expanded', 'pressed', 'selected'];
+
+// Single-quoted JavaScript string literal
+function quote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n').replace(/\r/g, '\\r')}'`;
+}
+
+// Split a locator into its ">>" steps, ignoring ">>" inside quotes and the ">>>" shadow combinator (mirrors helpers.js)
+function splitChain(selector) {
+  const steps = [];
+  let current = '';
+  let quoteChar = null;
+  for (let i = 0; i < selector.length; i++) {
+    const char = selector[i];
+    if (quoteChar) {
+      current += char;
+      if (char === '\\') {
+        current += selector[++i] ?? '';
+      } else if (char === quoteChar) {
+        quoteChar = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quoteChar = char;
+      current += char;
+    } else if (selector.startsWith('>>>', i)) {
+      current += '>>>';
+      i += 2;
+    } else if (selector.startsWith('>>', i)) {
+      steps.push(current.trim());
+      current = '';
+      i += 1;
+    } else {
+      current += char;
+    }
+  }
+  steps.push(current.trim());
+  return steps;
+}
+
+// Quoted values match exactly; unquoted ones are case-insensitive substrings (mirrors helpers.js)
+function parseValue(raw) {
+  const value = raw.trim();
+  const quoteChar = value[0];
+  if ((quoteChar === '"' || quoteChar === "'") && value.length > 1 && value.endsWith(quoteChar)) {
+    return { value: value.slice(1, -1).replace(/\\(.)/g, '$1'), exact: true };
+  }
+  return { value, exact: false };
+}
+
+// Parse the body of a role locator: 'button[name="Save"][pressed]'
+function parseRole(body) {
+  const match = /^\s*([a-z]+)\s*((?:\[[^\]]*\]\s*)*)$/i.exec(body);
+  if (!match) throw new Error(`Invalid role locator: role=${body}`);
+  const attributes = {};
+  const attributePattern = /\[\s*([a-z]+)\s*(?:=\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^\]]*?))?\s*\]/gi;
+  for (const [, name, raw] of match[2].matchAll(attributePattern)) {
+    attributes[name.toLowerCase()] = raw === undefined ? { value: 'true', exact: true } : parseValue(raw);
+  }
+  return { role: match[1].toLowerCase(), attributes };
+}
+
+// Parse a selector into steps: [{ engine, body }]. Plain CSS is a single css step.
+function parseSelector(selector) {
+  return splitChain(selector).map(step => {
+    if (!step) throw new Error(`Empty step in locator chain: ${selector}`);
+    const [, engine, body] = LOCATOR_STEP.exec(step) || [null, 'css', step];
+    if (engine === 'nth' && !Number.isInteger(Number(body.trim()))) {
+      throw new Error(`Invalid nth index: ${body}`);
+    }
+    return { engine, body };
+  });
+}
+
+// ========== Playwright ==========
+
+// Options object for getByText, getByLabel etc.: exact only for quoted values
+function exactOption({ exact }) {
+  return exact ? ', { exact: true }' : '';
+}
+
+// Playwright locator expression for a selector, e.g. page.getByRole('button', { name: 'Save', exact: true }).
+// With a frame selector the lookup starts inside that <iframe>.
+function playwrightLocator(selector, frame = null) {
+  let expression = frame ? `${playwrightLocator(frame)}.contentFrame()` : 'page';
+  for (const { engine, body } of parseSelector(selector)) {
+    switch (engine) {
+      case 'role': {
+        const { role, attributes } = parseRole(body);
+        const options = [];
+        if (attributes.name) {
+          options.push(`name: ${quote(attributes.name.value)}`);
+          if (attributes.name.exact) options.push('exact: true');
+        }
+        for (const state of BOOLEAN_ROLE_STATES) {
+          if (attributes[state]) options.push(`${state}: ${attributes[state].value.toLowerCase() === 'true'}`);
+        }
+        if (attributes.level) options.push(`level: ${Number(attributes.level.value)}`);
+        expression += `.getByRole(${quote(role)}${options.length ? `, { ${options.join(', ')} }` : ''})`;
+        break;
+      }
+      case 'text': {
+        const text = parseValue(body);
+        expression += `.getByText(${quote(text.value)}${exactOption(text)})`;
+        break;
+      }
+      case 'label': {
+        const label = parseValue(body);
+        expression += `.getByLabel(${quote(label.value)}${exactOption(label)})`;
+        break;
+      }
+      case 'placeholder': {
+        const placeholder = parseValue(body);
+        expression += `.getByPlaceholder(${quote(placeholder.value)}${exactOption(placeholder)})`;
+        break;
+      }
+      case 'testid':
+        expression += `.getByTestId(${quote(parseValue(body).value)})`;
+        break;
+      case 'nth': {
+        const index = Number(body.trim());
+        expression += index === 0 ? '.first()' : index === -1 ? '.last()' : `.nth(${index})`;
+        break;
+      }
+      default:
+        // Playwright's CSS already pierces open shadow roots, so ">>>" becomes a plain descendant
+        expression += `.locator(${quote(body.trim().replace(/\s*>>>\s*/g, ' '))})`;
+    }
+  }
+  return expression;
+}
+
+// Scroll offsets for a recorded scroll: [x, y]
+function scrollDelta({ direction, amount }) {
+  return {
+    up: [0, -amount],
+    down: [0, amount],
+    left: [-amount, 0],
+    right: [amount, 0]
+  }[direction] || [0, 0];
+}
+
+// Statements for one action. context.newTab numbers the tab a new_tab action switches to.
+function playwrightStep(action, context = {}) {
+  switch (action.type) {
+    case 'navigate':
+      return [`await page.goto(${quote(action.url)});`];
+    case 'new_tab':
+      return [`page = await newTab${context.newTab};`, 'await page.waitForLoadState();'];
+    case 'switch_tab':
+      return [
+        `page = page.context().pages().find(p => p.url().split('#')[0] === ${quote(pageUrl(action.url))}) ?? page;`,
+        'await page.bringToFront();'
+      ];
+    case 'keypress':
+      if (!action.selector) return [`await page.keyboard.press(${quote(action.key)});`];
+      break;
+    case 'scroll':
+      if (!action.selector) {
+        const [x, y] = scrollDelta(action);
+        const root = action.frame ? `(await (await ${playwrightLocator(action.frame)}.elementHandle()).contentFrame())` : 'page';
+        return [`await ${root}.evaluate(() => window.scrollBy(${x}, ${y}));`];
+      }
+      break;
+  }
+
+  const locator = playwrightLocator(action.selector, action.frame);
+  switch (action.type) {
+    case 'click':
+      return [`await ${locator}.click();`];
+    case 'dblclick':
+      return [`await ${locator}.dblclick();`];
+    case 'rightclick':
+      return [`await ${locator}.click({ button: 'right' });`];
+    case 'hover':
+      return [`await ${locator}.hover();`];
+    case 'drag':
+      return [`await ${locator}.dragTo(${playwrightLocator(action.targetSelector, action.frame)});`];
+    case 'scroll': {
+      const [x, y] = scrollDelta(action);
+      return [`await ${locator}.evaluate(el => el.scrollBy(${x}, ${y}));`];
+    }
+    case 'type':
+      return [`await ${locator}.fill(${quote(action.value ?? '')});`];
+    case 'select':
+      return [`await ${locator}.selectOption(${quote(action.value)});`];
+    case 'keypress':
+      return [`await ${locator}.press(${quote(action.key)});`];
+    case 'upload':
+      return [...uploadComment(action), `await ${locator}.setInputFiles(${quote(uploadPath(action))});`];
+    default:
+      return null;
+  }
+}
+
+// Start listening for the tab the next action opens
+function awaitNewTabPlaywright(n) {
+  return `const newTab${n} = page.waitForEvent('popup');`;
+}
+
+function waitForUrlPlaywright(url) {
+  return `await page.waitForURL(${quote(url)});`;
+}
+
+function playwrightFile(recording, body) {
+  return [
+    header(recording),
+    `import { test } from '@playwright/test';`,
+    '',
+    `test(${quote(recording.name)}, async ({ page }) => {`,
+    ...body.map(line => `  ${line}`),
+    '});',
+    ''
+  ].join('\n');
+}
+
+// ========== Puppeteer ==========
+
+// CSS attribute selector value
+function cssString(value) {
+  return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Puppeteer selector for a selector: { selector, nth }. Puppeteer has no nth step,
+// so a trailing nth= comes back separately and is applied to page.$$() results.
+function puppeteerSelector(selector) {
+  const steps = parseSelector(selector);
+  let nth = null;
+  if (steps.at(-1).engine === 'nth') {
+    nth = Number(steps.pop().body.trim());
+  }
+  if (steps.length === 0) throw new Error(`nth= must follow another step: ${selector}`);
+
+  const parts = steps.map(({ engine, body }) => {
+    switch (engine) {
+      case 'role': {
+        // ::-p-aria matches role and exact accessible name; states can't be expressed
+        const { role, attributes } = parseRole(body);
+        return `::-p-aria([role=${cssString(role)}]${attributes.name ? `[name=${cssString(attributes.name.value)}]` : ''})`;
+      }
+      case 'text':
+        return `::-p-text(${cssString(parseValue(body).value)})`;
+      case 'label':
+        // A label becomes the control's accessible name
+        return `::-p-aria(${cssString(parseValue(body).value)})`;
+      case 'placeholder':
+        return `[placeholder=${cssString(parseValue(body).value)}]`;
+      case 'testid':
+        return `[data-testid=${cssString(parseValue(body).value)}]`;
+      case 'nth':
+        throw new Error(`Puppeteer export only supports nth= as the last step: ${selector}`);
+      default:
+        // Puppeteer supports the ">>>" shadow-piercing combinator itself
+        return body.trim();
+    }
+  });
+  return { selector: parts.join(' '), nth };
+}
+
+// Statements for one action. context.newTab numbers the tab a new_tab action switches to.
+function puppeteerStep(action, context = {}) {
+  switch (action.type) {
+    case 'navigate':
+      return [`await page.goto(${quote(action.url)});`];
+    case 'new_tab':
+      return [`page = await (await newTab${context.newTab}).page();`, 'await page.bringToFront();'];
+    case 'switch_tab':
+      return [
+        `page = (await browser.pages()).find(p => p.url().split('#')[0] === ${quote(pageUrl(action.url))}) ?? page;`,
+        'await page.bringToFront();'
+      ];
+  }
+  if (!['click', 'dblclick', 'rightclick', 'hover', 'drag', 'scroll', 'type', 'select', 'keypress', 'upload'].includes(action.type)) {
+    return null;
+  }
+
+  // Elements in a frame are looked up in the frame's document
+  const root = action.frame
+    ? `(await (await page.waitForSelector(${quote(puppeteerSelector(action.frame).selector)})).contentFrame())`
+    : 'page';
+
+  if (action.type === 'keypress' && !action.selector) {
+    return [`await page.keyboard.press(${quote(action.key)});`];
+  }
+  if (action.type === 'scroll' && !action.selector) {
+    const [x, y] = scrollDelta(action);
+    return [`await ${root}.evaluate(() => window.scrollBy(${x}, ${y}));`];
+  }
+
+  // Without nth= an auto-waiting locator does the work; with it, pick from page.$$() after waiting
+  const find = (selector) => {
+    const target = puppeteerSelector(selector);
+    const sel = quote(target.selector);
+    if (target.nth === null) {
+      return { setup: [], locator: `${root}.locator(${sel})`, handle: `(await ${root}.waitForSelector(${sel}))` };
+    }
+    return { setup: [`await ${root}.waitForSelector(${sel});`], locator: null, handle: `(await ${root}.$$(${sel})).at(${target.nth})` };
+  };
+  const { setup, locator, handle } = find(action.selector);
+  const act = (call) => [...setup, `await ${locator || handle}.${call};`];
+
+  switch (action.type) {
+    case 'click':
+      return act('click()');
+    case 'dblclick':
+      return act('click({ count: 2 })');
+    case 'rightclick':
+      return act(`click({ button: 'right' })`);
+    case 'hover':
+      return act('hover()');
+    case 'type':
+      return locator
+        ? act(`fill(${quote(action.value ?? '')})`)
+        : [...setup, `await ${handle}.click({ count: 3 });`, `await page.keyboard.type(${quote(action.value ?? '')});`];
+    case 'select':
+      return [...setup, `await ${handle}.select(${quote(action.value)});`];
+    case 'keypress':
+      return [...setup, `await ${handle}.press(${quote(action.key)});`];
+    case 'upload':
+      return [...uploadComment(action), ...setup, `await ${handle}.uploadFile(${quote(uploadPath(action))});`];
+    case 'scroll': {
+      const [x, y] = scrollDelta(action);
+      return [...setup, `await ${handle}.evaluate(el => el.scrollBy(${x}, ${y}));`];
+    }
+    case 'drag': {
+      // Puppeteer drops the source onto the target
+      const target = find(action.targetSelector);
+      return [...setup, ...target.setup, `await ${target.handle}.drop(${handle});`];
+    }
+  }
+}
+
+// Start listening for the tab the next action opens
+function awaitNewTabPuppeteer(n) {
+  return `const newTab${n} = browser.waitForTarget(target => target.opener() === page.target());`;
+}
+
+function waitForUrlPuppeteer(url) {
+  return `await page.waitForFunction(url => location.href === url, {}, ${quote(url)});`;
+}
+
+function puppeteerFile(recording, body) {
+  // Tab switches reassign page
+  const switchesTabs = body.some(line => line.startsWith('page = '));
+  return [
+    header(recording),
+    `import puppeteer from 'puppeteer';`,
+    '',
+    'const browser = await puppeteer.launch();',
+    `${switchesTabs ? 'let' : 'const'} page = await browser.newPage();`,
+    '',
+    'try {',
+    ...body.map(line => `  ${line}`),
+    '} finally {',
+    '  await browser.close();',
+    '}',
+    ''
+  ].join('\n');
+}
+
+// ========== Markdown ==========
+
+// What to call an element of this tag in a sentence
+const TAG_NOUNS = {
+  a: 'link',
+  button: 'button',
+  input: 'field',
+  textarea: 'text area',
+  select: 'dropdown',
+  img: 'image'
+};
+
+// Recorded text as a double-quoted string on one line, so typed newlines can't break the numbered list
+function quoted(value) {
+  return JSON.stringify(String(value));
+}
+
+// A selector or other recorded code as inline code on one line
+function code(value) {
+  const text = String(value).replace(/\r?\n/g, '\\n');
+  return text.includes('`') ? `\`\` ${text} \`\`` : `\`${text}\``;
+}
+
+// Human-readable target for a step, keeping the recorded selector so the runner can be exact:
+// 'the "Add to cart" button (`role=button[name="Add to cart"]`)'
+function describeTarget(action) {
+  const selector = code(action.selector);
+  let description = null;
+
+  try {
+    const steps = parseSelector(action.selector);
+    const step = steps.length === 1 ? steps[0] : null;
+    if (step?.engine === 'role') {
+      const { role, attributes } = parseRole(step.body);
+      description = attributes.name ? `the ${quoted(attributes.name.value)} ${role}` : `the ${role}`;
+    } else if (step?.engine === 'text') {
+      description = quoted(parseValue(step.body).value);
+    } else if (step?.engine === 'label' || step?.engine === 'placeholder') {
+      description = `the ${quoted(parseValue(step.body).value)} field`;
+    } else if (action.tag && action.text && action.text.length <= 50) {
+      description = `the ${TAG_NOUNS[action.tag] || 'element'} ${quoted(action.text.replace(/\s+/g, ' '))}`;
+    }
+  } catch {
+    // Unparseable selectors are shown as they are
+  }
+
+  return description ? `${description} (${selector})` : selector;
+}
+
+// Sentence for one action
+function markdownStep(action) {
+  const inFrame = action.frame ? ` inside the frame ${code(action.frame)}` : '';
+  const target = action.selector ? describeTarget(action) + inFrame : null;
+  switch (action.type) {
+    case 'navigate':
+      return [`Navigate to ${action.url}`];
+    case 'new_tab':
+      return [`A new tab opens (${action.url || 'about:blank'}) - continue in that tab`];
+    case 'switch_tab':
+      return [`Switch to the tab showing ${action.url}`];
+    case 'click':
+      return [`Click ${target}`];
+    case 'dblclick':
+      return [`Double-click ${target}`];
+    case 'rightclick':
+      return [`Right-click ${target}`];
+    case 'hover':
+      return [`Hover over ${target}`];
+    case 'drag':
+      return [`Drag ${target} onto ${describeTarget({ selector: action.targetSelector })}`];
+    case 'scroll':
+      return [`Scroll ${target || `the page${inFrame}`} ${action.direction} by ${action.amount}px`];
+    case 'type':
+      return [`Type ${quoted(action.value ?? '')} into ${target}`];
+    case 'select':
+      return [`Select ${quoted(action.text || action.value)} in ${target}`];
+    case 'keypress':
+      return [target ? `Press ${action.key} in ${target}` : `Press ${action.key}`];
+    case 'upload':
+      return [`Upload the file ${action.filePath ? code(action.filePath) : `${quoted(action.fileName)} (give the runner a real path)`} to ${target}`];
+    default:
+      return [target ? `Perform "${action.type}" on ${target}` : `Perform "${action.type}"`];
+  }
+}
+
+function waitForUrlMarkdown(url) {
+  return `Wait for the page to load (the URL should be ${url})`;
+}
+
+// Same layout as the hand-written tests: numbered Instructions, bulleted Expectations.
+// Expectations are placeholders - a recording knows what was done, not what should be seen.
+// Skipped steps are noted above the Instructions so the runner doesn't try to follow them.
+function markdownFile(recording, body, skipped = []) {
+  const actions = recording.actions || [];
+  const firstUrl = actions.find(action => action.url)?.url || recording.url;
+  const lastUrl = actions.findLast(action => action.url)?.url;
+  const expectations = ['Every step should succeed without errors'];
+  if (lastUrl && pageUrl(lastUrl) !== pageUrl(firstUrl)) {
+    expectations.push(`The final URL should be ${lastUrl}`);
+  }
+  expectations.push('TODO: describe what should be on the page at the end (e.g. a confirmation message)');
+
+  return [
+    `# Test: ${recording.name}`,
+    '',
+    `Generated from the Bronco Browser recording "${recording.name}". Replace the TODO expectations before running.`,
+    '',
+    ...(skipped.length ? [
+      `Incomplete: ${skipped.length} recorded step${skipped.length !== 1 ? 's' : ''} could not be exported - ${skipped.map(skip => `step ${skip.index + 1} (${skip.action}): ${skip.reason}`).join('; ')}.`,
+      ''
+    ] : []),
+    '## Instructions',
+    ...body.map((line, index) => `${index + 1}. ${line}`),
+    '',
+    '## Expectations',
+    ...expectations.map(line => `- ${line}`),
+    ''
+  ].join('\n');
+}
+
+// ========== Shared ==========
+
+// Comment left in a script where a step could not be exported
+function skippedComment(skip) {
+  return `// Skipped ${skip.action}${skip.selector ? ` on ${skip.selector}` : ''}: ${skip.reason}`;
+}
+
+function header(recording) {
+  const count = recording.actions?.length || 0;
+  return `// Exported from Bronco Browser recording "${recording.name}" (${count} action${count !== 1 ? 's' : ''})\n`;
+}
+
+// Recordings only know an uploaded file's name unless someone added filePath
+function uploadPath(action) {
+  return action.filePath || action.fileName;
+}
+
+function uploadComment(action) {
+  return action.filePath ? [] : [`// Recorded upload of "${action.fileName}" - point this at a real file`];
+}
+
+// Page URL without the fragment, for telling whether an action navigated
+function pageUrl(url) {
+  return (url || '').split('#')[0];
+}
+
+const FORMATS = {
+  playwright: { step: playwrightStep, waitForUrl: waitForUrlPlaywright, awaitNewTab: awaitNewTabPlaywright, skipped: skippedComment, file: playwrightFile },
+  puppeteer: { step: puppeteerStep, waitForUrl: waitForUrlPuppeteer, awaitNewTab: awaitNewTabPuppeteer, skipped: skippedComment, file: puppeteerFile },
+  markdown: { step: markdownStep, waitForUrl: waitForUrlMarkdown, file: markdownFile }
+};
+
+// Export a recording in the given format ("playwright", "puppeteer" or "markdown").
+// Each action uses the library's auto-waiting for its element. When the next action was
+// recorded on a different page, the action that got there is followed by a wait for that URL.
+// Returns { code, skipped }: skipped lists the actions that couldn't be exported as
+// { index, action, selector, reason }. Scripts also keep them as comments where they were.
+export function exportRecording(recording, format = 'playwright') {
+  const generator = FORMATS[format];
+  if (!generator) {
+    throw new Error(`Unknown export format: ${format}. Available: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  const actions = recording.actions || [];
+  const body = [];
+  const skipped = [];
+
+  // Start where the recording started, unless it opens with a navigation
+  if (actions[0]?.type !== 'navigate' && recording.url) {
+    body.push(...generator.step({ type: 'navigate', url: recording.url }));
+  }
+
+  let newTabs = 0;
+  actions.forEach((action, index) => {
+    const next = actions[index + 1];
+    if (action.type === 'new_tab') {
+      newTabs++;
+    }
+
+    // Listen for the tab before the action that opens it
+    if (next?.type === 'new_tab' && generator.awaitNewTab) {
+      body.push(generator.awaitNewTab(newTabs + 1));
+    }
+
+    let lines;
+    let reason = 'unsupported action';
+    try {
+      lines = generator.step(action, { newTab: newTabs });
+    } catch (err) {
+      reason = err.message;
+    }
+    if (lines) {
+      body.push(...lines);
+    } else {
+      const skip = { index, action: action.type, selector: action.selector, reason };
+      skipped.push(skip);
+      if (generator.skipped) body.push(generator.skipped(skip));
+    }
+
+    if (!['navigate', 'new_tab', 'switch_tab'].includes(action.type) && next &&
+        !['navigate', 'new_tab', 'switch_tab'].includes(next.type) && next.url &&
+        pageUrl(next.url) !== pageUrl(action.url)) {
+      body.push(generator.waitForUrl(next.url));
+    }
+  });
+
+  return { code: generator.file(recording, body, skipped), skipped };
+}
+
+// File name for an exported recording, e.g. "checkout.spec.js" for Playwright.
+// Markdown tests follow the bronco-tests naming: "checkout-flow.md".
+export function exportFilename(name, format = 'playwright') {
+  if (format === 'markdown') {
+    return (name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'recording') + '.md';
+  }
+  // Puppeteer scripts use import and top-level await, so .mjs keeps them ES modules in CommonJS projects too
+  return name.replace(/[^a-zA-Z0-9-_]/g, '_') + (format === 'playwright' ? '.spec.js' : '.mjs');
+}
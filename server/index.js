@@ -14,14 +14,62 @@ import {
   ListToolsRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 import { WebSocketServer } from 'ws';
-import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, unlinkSync } from 'fs';
-import { resolve, join, basename } from 'path';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, copyFileSync, statSync } from 'fs';
+import { resolve, join, basename, dirname } from 'path';
+import { randomUUID } from 'crypto';
+import {
+  listRecordingsFromDisk,
+  findRecordingFile,
+  getRecordingFromDisk,
+  saveRecordingToDisk,
+  renameRecordingOnDisk,
+  deleteRecordingFromDisk,
+  applyRecordingOps,
+} from './recordings.js';
+import { exportRecording, exportFilename, EXPORT_FORMATS } from './export.js';
+
+// Default directory for exported HAR files
+const HAR_DIR = resolve(process.env.HOME, '.bronco-browser-har');
 
-// Directory for storing recordings
-const RECORDINGS_DIR = resolve(process.env.HOME, '.bronco-browser-recordings');
+// Default directory downloads are copied to
+const DOWNLOADS_DIR = resolve(process.env.HOME, '.bronco-browser-downloads');
+
+// Optional server config, e.g. { "timeout": 60000 }
+const CONFIG_FILE = resolve(process.env.HOME, '.bronco-browser.json');
 
 const WS_PORT = 9876;
 
+// Time limit set server-wide with the BRONCO_TIMEOUT env var or "timeout" in the config file (null when unset).
+// Without it each operation keeps the extension's own default (5s for element waits, 20s for page loads).
+const CONFIGURED_TIMEOUT = loadConfiguredTimeout();
+
+// Longest the server waits for any operation without a timeout of its own
+const DEFAULT_TIMEOUT = CONFIGURED_TIMEOUT ?? 30000;
+
+// Extra time given to the extension past an operation's timeout, so its own more specific error arrives first
+const TIMEOUT_GRACE_MS = 2000;
+
+// Device presets defined in the extension (DEVICE_PRESETS in background.js)
+const DEVICE_NAMES = ['iPhone SE', 'iPhone 15', 'iPhone 15 Pro Max', 'Pixel 8', 'Galaxy S23', 'iPad Mini', 'iPad Pro 11', 'Laptop', 'Desktop'];
+
+// Shared schema for the per-call timeout argument
+const TIMEOUT_PROPERTY = {
+  type: 'number',
+  description: CONFIGURED_TIMEOUT
+    ? `Maximum time in milliseconds for this operation, including any waiting for elements or page loads (default ${CONFIGURED_TIMEOUT}, set server-wide with BRONCO_TIMEOUT or ~/.bronco-browser.json)`
+    : `Maximum time in milliseconds for this operation, including any waiting for elements or page loads (default: the operation's own limit, e.g. 5000 for element waits and 20000 for page loads; set server-wide with BRONCO_TIMEOUT or ~/.bronco-browser.json)`,
+};
+
+// Shared schema for the frame arguments of tools that work inside a page
+const FRAME_ID_PROPERTY = {
+  type: 'number',
+  description: 'Frame ID from browser_list_frames to run in (defaults to the top document). Not needed with refs - they carry their frame.',
+};
+const FRAME_PROPERTY = {
+  type: 'string',
+  description: 'CSS selector of an <iframe> in the top document to run in (e.g., "iframe#payments"), used instead of frameId. Cross-origin frames work too.',
+};
+
 // State
 let extensionSocket = null;
 let pendingRequests = new Map();
@@ -106,7 +154,28 @@ function setupShutdownHandlers() {
   process.on('SIGHUP', cleanup);
 }
 
-// Send message to extension and wait for response
+// Read the server-wide operation timeout from the environment or config file
+function loadConfiguredTimeout() {
+  const fromEnv = Number(process.env.BRONCO_TIMEOUT);
+  if (fromEnv > 0) {
+    return fromEnv;
+  }
+  if (existsSync(CONFIG_FILE)) {
+    try {
+      const config = JSON.parse(readFileSync(CONFIG_FILE, 'utf-8'));
+      if (Number(config.timeout) > 0) {
+        return Number(config.timeout);
+      }
+    } catch (err) {
+      console.error(`[Bronco] Could not read ${CONFIG_FILE}:`, err.message);
+    }
+  }
+  return null;
+}
+
+// Send message to extension and wait for response.
+// params.timeout (or the configured timeout) is passed on so the extension bounds its own waits by it;
+// without either the extension uses its per-operation defaults and the server gives up after DEFAULT_TIMEOUT.
 function sendToExtension(method, params = {}) {
   return new Promise((resolve, reject) => {
     if (!extensionSocket) {
@@ -123,17 +192,25 @@ The extension must be running and connected for browser automation to work.`));
     }
 
     const id = ++requestId;
+    const requested = params.timeout ?? CONFIGURED_TIMEOUT;
+    const timeout = requested ?? DEFAULT_TIMEOUT;
+    const startTime = Date.now();
     pendingRequests.set(id, { resolve, reject });
 
-    // Timeout after 30 seconds
     setTimeout(() => {
       if (pendingRequests.has(id)) {
         pendingRequests.delete(id);
-        reject(new Error('Request timeout'));
+        // Tell the extension to stop working on it
+        if (extensionSocket) {
+          extensionSocket.send(JSON.stringify({ type: 'cancel', requestId: id }));
+        }
+        const tab = params.tabId ? `tab ${params.tabId}` : 'the connected tab';
+        reject(new Error(`Timed out after ${Date.now() - startTime}ms waiting for "${method}" on ${tab} (timeout ${timeout}ms). The operation was cancelled.`));
       }
-    }, 30000);
+    }, timeout + TIMEOUT_GRACE_MS);
 
-    extensionSocket.send(JSON.stringify({ id, method, params }));
+    const sent = requested == null ? params : { ...params, timeout: requested };
+    extensionSocket.send(JSON.stringify({ id, method, params: sent }));
   });
 }
 
@@ -159,7 +236,9 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
         description: 'List all enabled browser tabs (user must enable tabs via extension icon)',
         inputSchema: {
           type: 'object',
-          properties: {},
+          properties: {
+            timeout: TIMEOUT_PROPERTY,
+          },
           required: [],
         },
       },
@@ -173,6 +252,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'number',
               description: 'The ID of the tab to connect to',
             },
+            timeout: TIMEOUT_PROPERTY,
           },
           required: ['tabId'],
         },
@@ -182,7 +262,9 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
         description: 'Disconnect from the currently connected tab',
         inputSchema: {
           type: 'object',
-          properties: {},
+          properties: {
+            timeout: TIMEOUT_PROPERTY,
+          },
           required: [],
         },
       },
@@ -196,13 +278,14 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'number',
               description: 'Tab ID to get info for (uses connected tab if not specified)',
             },
+            timeout: TIMEOUT_PROPERTY,
           },
           required: [],
         },
       },
       {
         name: 'browser_navigate',
-        description: 'Navigate a tab to a URL',
+        description: 'Navigate a tab to a URL and wait for it to load. Returns the final URL, HTTP status and redirect chain.',
         inputSchema: {
           type: 'object',
           properties: {
@@ -210,6 +293,12 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'string',
               description: 'The URL to navigate to',
             },
+            waitUntil: {
+              type: 'string',
+              description: 'Load state to wait for before returning (default "load"): "commit" (response received), "domcontentloaded", "load", or "networkidle" (no requests for 500ms after load)',
+              enum: ['commit', 'domcontentloaded', 'load', 'networkidle'],
+            },
+            timeout: TIMEOUT_PROPERTY,
             tabId: {
               type: 'number',
               description: 'Tab ID to navigate (uses connected tab if not specified)',
@@ -220,64 +309,104 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: 'browser_click',
-        description: 'Click an element on the page',
+        description: 'Click an element on the page. Target it with a CSS selector, a locator or a ref from browser_snapshot. Locators work in every selector argument: role=button[name="Save"], text="Sign in", label="Email", placeholder=Search, testid=submit, chained with ">>" and narrowed with nth=<index>. Quoted values match exactly, unquoted ones as case-insensitive substrings. A locator matching several elements is an error listing them.',
         inputSchema: {
           type: 'object',
           properties: {
             selector: {
               type: 'string',
-              description: 'CSS selector for the element to click (e.g., "#submit-btn", "button.primary")',
+              description: 'CSS selector or locator for the element to click (e.g., "#submit-btn", "role=button[name=\"Save\"]", "text=Sign in")',
+            },
+            ref: {
+              type: 'string',
+              description: 'Element ref from browser_snapshot (e.g., "e12"), used instead of selector',
+            },
+            button: {
+              type: 'string',
+              description: 'Mouse button: "left" (default), "right" (opens context menus) or "middle"',
+              enum: ['left', 'right', 'middle'],
+            },
+            clickCount: {
+              type: 'number',
+              description: 'Number of clicks, e.g. 2 for a double click (default: 1)',
+            },
+            inputMode: {
+              type: 'string',
+              description: 'Input mode for this call: "script" (synthetic DOM events) or "cdp" (trusted events via the DevTools protocol). Defaults to the session mode set by browser_set_input_mode.',
+              enum: ['script', 'cdp'],
             },
+            frameId: FRAME_ID_PROPERTY,
+            frame: FRAME_PROPERTY,
+            timeout: TIMEOUT_PROPERTY,
             tabId: {
               type: 'number',
               description: 'Tab ID to operate on (uses connected tab if not specified)',
             },
           },
-          required: ['selector'],
+          required: [],
         },
       },
       {
         name: 'browser_type',
-        description: 'Type text into an input element',
+        description: 'Type text into an input element. Target it with a CSS selector or a ref from browser_snapshot.',
         inputSchema: {
           type: 'object',
           properties: {
             selector: {
               type: 'string',
-              description: 'CSS selector for the input element',
+              description: 'CSS selector or locator for the input element',
+            },
+            ref: {
+              type: 'string',
+              description: 'Element ref from browser_snapshot (e.g., "e12"), used instead of selector',
             },
             text: {
               type: 'string',
               description: 'Text to type into the element',
             },
+            inputMode: {
+              type: 'string',
+              description: 'Input mode for this call: "script" (synthetic DOM events) or "cdp" (trusted events via the DevTools protocol). Defaults to the session mode set by browser_set_input_mode.',
+              enum: ['script', 'cdp'],
+            },
+            frameId: FRAME_ID_PROPERTY,
+            frame: FRAME_PROPERTY,
+            timeout: TIMEOUT_PROPERTY,
             tabId: {
               type: 'number',
               description: 'Tab ID to operate on (uses connected tab if not specified)',
             },
           },
-          required: ['selector', 'text'],
+          required: ['text'],
         },
       },
       {
         name: 'browser_select_option',
-        description: 'Select an option from a dropdown',
+        description: 'Select an option from a dropdown. Target it with a CSS selector or a ref from browser_snapshot.',
         inputSchema: {
           type: 'object',
           properties: {
             selector: {
               type: 'string',
-              description: 'CSS selector for the select element',
+              description: 'CSS selector or locator for the select element',
+            },
+            ref: {
+              type: 'string',
+              description: 'Element ref from browser_snapshot (e.g., "e12"), used instead of selector',
             },
             value: {
               type: 'string',
               description: 'Value of the option to select',
             },
+            frameId: FRAME_ID_PROPERTY,
+            frame: FRAME_PROPERTY,
+            timeout: TIMEOUT_PROPERTY,
             tabId: {
               type: 'number',
               description: 'Tab ID to operate on (uses connected tab if not specified)',
             },
           },
-          required: ['selector', 'value'],
+          required: ['value'],
         },
       },
       {
@@ -288,12 +417,24 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           properties: {
             key: {
               type: 'string',
-              description: 'Key to press (e.g., "Enter", "Tab", "Escape", "ArrowDown")',
+              description: 'Key to press (e.g., "Enter", "Tab", "Escape", "ArrowDown"). In cdp mode, combinations like "Control+A" or "Shift+Tab" are supported.',
             },
             selector: {
               type: 'string',
-              description: 'Optional CSS selector for element to focus first',
+              description: 'Optional CSS selector or locator for element to focus first',
+            },
+            ref: {
+              type: 'string',
+              description: 'Optional element ref from browser_snapshot to focus first, used instead of selector',
+            },
+            inputMode: {
+              type: 'string',
+              description: 'Input mode for this call: "script" (synthetic DOM events) or "cdp" (trusted events via the DevTools protocol). Defaults to the session mode set by browser_set_input_mode.',
+              enum: ['script', 'cdp'],
             },
+            frameId: FRAME_ID_PROPERTY,
+            frame: FRAME_PROPERTY,
+            timeout: TIMEOUT_PROPERTY,
             tabId: {
               type: 'number',
               description: 'Tab ID to operate on (uses connected tab if not specified)',
@@ -304,24 +445,54 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: 'browser_screenshot',
-        description: 'Take a screenshot of a page',
+        description: 'Take a screenshot of the viewport, a single element, or the full page. Returns the image. Works on background tabs without focusing them, so parallel agents can capture their own tabs concurrently.',
         inputSchema: {
           type: 'object',
           properties: {
+            selector: {
+              type: 'string',
+              description: 'CSS selector or locator of an element to crop the screenshot to',
+            },
+            ref: {
+              type: 'string',
+              description: 'Element ref from browser_snapshot to crop the screenshot to, used instead of selector',
+            },
+            fullPage: {
+              type: 'boolean',
+              description: 'Capture the full scrollable page instead of just the viewport (default false)',
+            },
+            format: {
+              type: 'string',
+              description: 'Image format (default "png")',
+              enum: ['png', 'jpeg', 'webp'],
+            },
+            quality: {
+              type: 'number',
+              description: 'Compression quality 0-100 for jpeg and webp',
+            },
             tabId: {
               type: 'number',
               description: 'Tab ID to screenshot (uses connected tab if not specified)',
             },
+            frameId: FRAME_ID_PROPERTY,
+            frame: FRAME_PROPERTY,
+            timeout: TIMEOUT_PROPERTY,
           },
           required: [],
         },
       },
       {
         name: 'browser_go_back',
-        description: 'Go back in browser history',
+        description: 'Go back in browser history and wait for the page to load',
         inputSchema: {
           type: 'object',
           properties: {
+            waitUntil: {
+              type: 'string',
+              description: 'Load state to wait for before returning (default "load"): "commit" (response received), "domcontentloaded", "load", or "networkidle" (no requests for 500ms after load)',
+              enum: ['commit', 'domcontentloaded', 'load', 'networkidle'],
+            },
+            timeout: TIMEOUT_PROPERTY,
             tabId: {
               type: 'number',
               description: 'Tab ID to operate on (uses connected tab if not specified)',
@@ -332,10 +503,16 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: 'browser_go_forward',
-        description: 'Go forward in browser history',
+        description: 'Go forward in browser history and wait for the page to load',
         inputSchema: {
           type: 'object',
           properties: {
+            waitUntil: {
+              type: 'string',
+              description: 'Load state to wait for before returning (default "load"): "commit" (response received), "domcontentloaded", "load", or "networkidle" (no requests for 500ms after load)',
+              enum: ['commit', 'domcontentloaded', 'load', 'networkidle'],
+            },
+            timeout: TIMEOUT_PROPERTY,
             tabId: {
               type: 'number',
               description: 'Tab ID to operate on (uses connected tab if not specified)',
@@ -344,30 +521,79 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           required: [],
         },
       },
+      {
+        name: 'browser_reload',
+        description: 'Reload a tab and wait for the page to load',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            waitUntil: {
+              type: 'string',
+              description: 'Load state to wait for before returning (default "load"): "commit" (response received), "domcontentloaded", "load", or "networkidle" (no requests for 500ms after load)',
+              enum: ['commit', 'domcontentloaded', 'load', 'networkidle'],
+            },
+            timeout: TIMEOUT_PROPERTY,
+            bypassCache: {
+              type: 'boolean',
+              description: 'Bypass the browser cache (default false)',
+            },
+            tabId: {
+              type: 'number',
+              description: 'Tab ID to reload (uses connected tab if not specified)',
+            },
+          },
+          required: [],
+        },
+      },
       {
         name: 'browser_console_messages',
-        description: 'Get console messages from the page. First call installs interceptor, subsequent calls return captured messages.',
+        description: 'Get console messages, uncaught exceptions and unhandled promise rejections from a tab. Capture runs through the debugger: it starts on the first call for a tab (or whenever the debugger attaches to it), includes what the current page logged while loading, and survives navigations. Reads do not clear the buffer: pass the returned cursor to get only newer messages.',
         inputSchema: {
           type: 'object',
           properties: {
+            level: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ['log', 'info', 'warn', 'error', 'debug', 'trace'],
+              },
+              description: 'Only return messages with these levels (e.g., ["error", "warn"]). Exceptions and rejections have level "error".',
+            },
+            cursor: {
+              type: 'number',
+              description: 'Return only messages after this cursor (from a previous call)',
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum number of messages to return (default 100)',
+            },
             tabId: {
               type: 'number',
               description: 'Tab ID to get console from (uses connected tab if not specified)',
             },
+            timeout: TIMEOUT_PROPERTY,
           },
           required: [],
         },
       },
       {
         name: 'browser_snapshot',
-        description: 'Get a snapshot of interactive elements on the page with refs for clicking/typing',
+        description: 'Get a snapshot of interactive elements on the page with refs. Pass a ref as the "ref" argument of click, type, hover, select, drag and upload tools. Refs stay valid until the element leaves the page. Interactive snapshots include iframes (listed under "frames") and shadow DOM; refs inside a frame look like "f12e5" and act in that frame. Selectors can pierce shadow roots with ">>>", e.g. "my-dialog >>> button".',
         inputSchema: {
           type: 'object',
           properties: {
+            mode: {
+              type: 'string',
+              description: '"interactive" (default): flat list of interactive elements. "accessibility": nested accessibility tree with roles, accessible names, states (expanded, checked, selected, required, invalid) and refs, including headings, landmarks and live regions.',
+              enum: ['interactive', 'accessibility'],
+            },
             tabId: {
               type: 'number',
               description: 'Tab ID to snapshot (uses connected tab if not specified)',
             },
+            frameId: FRAME_ID_PROPERTY,
+            frame: FRAME_PROPERTY,
+            timeout: TIMEOUT_PROPERTY,
           },
           required: [],
         },
@@ -386,6 +612,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'number',
               description: 'Window ID to create the tab in (uses current window if not specified)',
             },
+            timeout: TIMEOUT_PROPERTY,
           },
           required: [],
         },
@@ -400,6 +627,12 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'string',
               description: 'URL to open in the first tab (defaults to blank)',
             },
+            device: {
+              type: 'string',
+              description: 'Device preset to emulate in the new window (see browser_emulate)',
+              enum: DEVICE_NAMES,
+            },
+            timeout: TIMEOUT_PROPERTY,
           },
           required: [],
         },
@@ -414,38 +647,81 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'number',
               description: 'Window ID to close',
             },
+            timeout: TIMEOUT_PROPERTY,
           },
           required: ['windowId'],
         },
       },
       {
         name: 'browser_upload_file',
-        description: 'Upload a file to a file input element on the page',
+        description: 'Upload one or more files to a file input, or drop them onto a drag-and-drop zone with mode "drop". Files come from local paths or inline content. Large files are streamed to the browser in chunks.',
         inputSchema: {
           type: 'object',
           properties: {
             selector: {
               type: 'string',
-              description: 'CSS selector for the file input element',
+              description: 'CSS selector or locator for the file input element (or the drop zone in mode "drop")',
+            },
+            ref: {
+              type: 'string',
+              description: 'File input or drop zone ref from browser_snapshot, used instead of selector',
             },
             filePath: {
               type: 'string',
-              description: 'Local file path to upload',
+              description: 'Local file path to upload (shorthand for a single entry in files)',
             },
             fileName: {
               type: 'string',
-              description: 'Name to give the file (defaults to basename of filePath)',
+              description: 'Name to give the filePath file (defaults to its basename)',
             },
             mimeType: {
               type: 'string',
-              description: 'MIME type of the file (auto-detected if not provided)',
+              description: 'MIME type of the filePath file (auto-detected if not provided)',
+            },
+            files: {
+              type: 'array',
+              description: 'Files to upload, each from a local path or inline content. Uploading several needs an input with the "multiple" attribute (or mode "drop").',
+              items: {
+                type: 'object',
+                properties: {
+                  path: {
+                    type: 'string',
+                    description: 'Local file path',
+                  },
+                  content: {
+                    type: 'string',
+                    description: 'File content, used instead of path',
+                  },
+                  encoding: {
+                    type: 'string',
+                    description: 'Encoding of content: "text" (UTF-8, default) or "base64" for binary data',
+                    enum: ['text', 'base64'],
+                  },
+                  name: {
+                    type: 'string',
+                    description: 'File name (required with content, defaults to the basename of path)',
+                  },
+                  mimeType: {
+                    type: 'string',
+                    description: 'MIME type (auto-detected from the name if not provided)',
+                  },
+                },
+              },
+            },
+            mode: {
+              type: 'string',
+              description: '"input" (default): set the files on an <input type="file">. "drop": fire dragenter, dragover and drop with the files on any element, for drag-and-drop upload areas.',
+              enum: ['input', 'drop'],
             },
+            frameId: FRAME_ID_PROPERTY,
+            frame: FRAME_PROPERTY,
+            timeout: TIMEOUT_PROPERTY,
             tabId: {
               type: 'number',
               description: 'Tab ID to operate on (uses connected tab if not specified)',
             },
           },
-          required: ['selector', 'filePath'],
+          required: [],
         },
       },
       // Phase 2 tools
@@ -457,14 +733,42 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           properties: {
             selector: {
               type: 'string',
-              description: 'CSS selector for the element to hover over',
+              description: 'CSS selector or locator for the element to hover over',
+            },
+            ref: {
+              type: 'string',
+              description: 'Element ref from browser_snapshot (e.g., "e12"), used instead of selector',
             },
+            inputMode: {
+              type: 'string',
+              description: 'Input mode for this call: "script" (synthetic DOM events) or "cdp" (trusted events via the DevTools protocol). Defaults to the session mode set by browser_set_input_mode.',
+              enum: ['script', 'cdp'],
+            },
+            frameId: FRAME_ID_PROPERTY,
+            frame: FRAME_PROPERTY,
+            timeout: TIMEOUT_PROPERTY,
             tabId: {
               type: 'number',
               description: 'Tab ID to operate on (uses connected tab if not specified)',
             },
           },
-          required: ['selector'],
+          required: [],
+        },
+      },
+      {
+        name: 'browser_set_input_mode',
+        description: 'Set the default input mode for the session. "cdp" attaches the Chrome debugger and sends trusted mouse/keyboard events (works with React inputs, isTrusted checks, canvas apps and native drag-and-drop). "script" uses synthetic DOM events and is the fallback when the debugger cannot attach.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            mode: {
+              type: 'string',
+              description: 'Input mode: "script" or "cdp"',
+              enum: ['script', 'cdp'],
+            },
+            timeout: TIMEOUT_PROPERTY,
+          },
+          required: ['mode'],
         },
       },
       {
@@ -489,23 +793,39 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           properties: {
             sourceSelector: {
               type: 'string',
-              description: 'CSS selector for the element to drag',
+              description: 'CSS selector or locator for the element to drag',
+            },
+            sourceRef: {
+              type: 'string',
+              description: 'Ref from browser_snapshot for the element to drag, used instead of sourceSelector',
             },
             targetSelector: {
               type: 'string',
-              description: 'CSS selector for the drop target',
+              description: 'CSS selector or locator for the drop target',
+            },
+            targetRef: {
+              type: 'string',
+              description: 'Ref from browser_snapshot for the drop target, used instead of targetSelector',
+            },
+            inputMode: {
+              type: 'string',
+              description: 'Input mode for this call: "script" (synthetic DOM events) or "cdp" (trusted events via the DevTools protocol). Defaults to the session mode set by browser_set_input_mode.',
+              enum: ['script', 'cdp'],
             },
+            frameId: FRAME_ID_PROPERTY,
+            frame: FRAME_PROPERTY,
+            timeout: TIMEOUT_PROPERTY,
             tabId: {
               type: 'number',
               description: 'Tab ID to operate on (uses connected tab if not specified)',
             },
           },
-          required: ['sourceSelector', 'targetSelector'],
+          required: [],
         },
       },
       {
         name: 'browser_handle_dialog',
-        description: 'Handle browser dialogs (alert, confirm, prompt). Call this BEFORE triggering the dialog.',
+        description: 'Accept or dismiss the open JavaScript dialog (alert, confirm, prompt, beforeunload). If no dialog is open, sets how the next dialogs on the tab are handled, so it can also be called BEFORE triggering one.',
         inputSchema: {
           type: 'object',
           properties: {
@@ -516,16 +836,128 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             promptText: {
               type: 'string',
-              description: 'Text to enter for prompt dialogs (optional)',
+              description: 'Text to enter for prompt dialogs (optional, defaults to the prompt\'s default value)',
             },
             tabId: {
               type: 'number',
               description: 'Tab ID to operate on (uses connected tab if not specified)',
             },
+            timeout: TIMEOUT_PROPERTY,
           },
           required: ['action'],
         },
       },
+      {
+        name: 'browser_set_dialog_policy',
+        description: 'Set how JavaScript dialogs on a tab are handled from now on. Until a policy is set (or browser_handle_dialog is called), dialogs are left to the person using the browser ("user"). With "queue" they stay open until browser_handle_dialog - the action that opened one waits until then.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            policy: {
+              type: 'string',
+              description: '"accept", "dismiss", "queue" to leave dialogs open for the agent, or "user" to leave them to the person using the browser',
+              enum: ['user', 'accept', 'dismiss', 'queue'],
+            },
+            promptText: {
+              type: 'string',
+              description: 'Text to respond to prompt dialogs with when accepting',
+            },
+            tabId: {
+              type: 'number',
+              description: 'Tab ID to operate on (uses connected tab if not specified)',
+            },
+            timeout: TIMEOUT_PROPERTY,
+          },
+          required: ['policy'],
+        },
+      },
+      {
+        name: 'browser_list_dialogs',
+        description: 'List JavaScript dialogs seen on a tab with their type, message, timestamp and how they were handled. Dialogs still open are listed under "open". Tabs opened with browser_tab_new or browser_window_new, or connected with browser_connect_tab, are watched from their first page load; on other tabs, dialogs shown before browser_handle_dialog or browser_set_dialog_policy was first called are not reported.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            tabId: {
+              type: 'number',
+              description: 'Tab ID to operate on (uses connected tab if not specified)',
+            },
+            timeout: TIMEOUT_PROPERTY,
+          },
+          required: [],
+        },
+      },
+      {
+        name: 'browser_wait_for_download',
+        description: 'Wait for a download started by a tab (e.g. after clicking an export button) and return its filename, size, MIME type, state and path on disk. Picks up a download that started before this call if no earlier wait returned it. Downloads whose source tab cannot be told (e.g. files generated by a script) are not returned here - they show up in browser_list_downloads. Pass "path" to copy the finished file somewhere readable.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            waitForCompletion: {
+              type: 'boolean',
+              description: 'Wait for the download to finish, not just start (default true)',
+            },
+            path: {
+              type: 'string',
+              description: `Copy the finished file to this path (a directory if it ends with "/"). Defaults to not copying; browser_save_download can copy it later to ${DOWNLOADS_DIR}.`,
+            },
+            tabId: {
+              type: 'number',
+              description: 'Tab ID the download comes from (uses connected tab if not specified)',
+            },
+            timeout: TIMEOUT_PROPERTY,
+          },
+          required: [],
+        },
+      },
+      {
+        name: 'browser_list_downloads',
+        description: 'List downloads started since the extension loaded, with their state (in_progress, complete, interrupted), size and path',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            tabId: {
+              type: 'number',
+              description: 'Only list downloads from this tab (lists all if not specified)',
+            },
+            timeout: TIMEOUT_PROPERTY,
+          },
+          required: [],
+        },
+      },
+      {
+        name: 'browser_cancel_download',
+        description: 'Cancel a download in progress',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            downloadId: {
+              type: 'number',
+              description: 'Download ID from browser_wait_for_download or browser_list_downloads',
+            },
+            timeout: TIMEOUT_PROPERTY,
+          },
+          required: ['downloadId'],
+        },
+      },
+      {
+        name: 'browser_save_download',
+        description: 'Copy a finished download to a path the server can read, so its contents can be checked',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            downloadId: {
+              type: 'number',
+              description: 'Download ID from browser_wait_for_download or browser_list_downloads',
+            },
+            path: {
+              type: 'string',
+              description: `Destination file, or a directory if it ends with "/" (default: ${DOWNLOADS_DIR}/<filename>)`,
+            },
+            timeout: TIMEOUT_PROPERTY,
+          },
+          required: ['downloadId'],
+        },
+      },
       {
         name: 'browser_tab_close',
         description: 'Close a specific browser tab',
@@ -536,6 +968,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'number',
               description: 'The ID of the tab to close (defaults to connected tab)',
             },
+            timeout: TIMEOUT_PROPERTY,
           },
           required: [],
         },
@@ -558,12 +991,19 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             selector: {
               type: 'string',
-              description: 'Optional CSS selector for element to scroll (defaults to page)',
+              description: 'Optional CSS selector or locator for element to scroll (defaults to page)',
+            },
+            ref: {
+              type: 'string',
+              description: 'Optional element ref from browser_snapshot to scroll, used instead of selector',
             },
             tabId: {
               type: 'number',
               description: 'Tab ID to operate on (uses connected tab if not specified)',
             },
+            frameId: FRAME_ID_PROPERTY,
+            frame: FRAME_PROPERTY,
+            timeout: TIMEOUT_PROPERTY,
           },
           required: ['direction'],
         },
@@ -576,12 +1016,11 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           properties: {
             selector: {
               type: 'string',
-              description: 'CSS selector to wait for',
-            },
-            timeout: {
-              type: 'number',
-              description: 'Maximum time to wait in milliseconds (default 10000)',
+              description: 'CSS selector or locator to wait for',
             },
+            frameId: FRAME_ID_PROPERTY,
+            frame: FRAME_PROPERTY,
+            timeout: TIMEOUT_PROPERTY,
             tabId: {
               type: 'number',
               description: 'Tab ID to operate on (uses connected tab if not specified)',
@@ -604,10 +1043,28 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'number',
               description: 'Tab ID to operate on (uses connected tab if not specified)',
             },
+            frameId: FRAME_ID_PROPERTY,
+            frame: FRAME_PROPERTY,
+            timeout: TIMEOUT_PROPERTY,
           },
           required: ['code'],
         },
       },
+      {
+        name: 'browser_list_frames',
+        description: 'List the frames in a tab (the top document and every iframe, including cross-origin ones) with their frameId, URL, parent frame and name. Pass a frameId to interaction, snapshot and evaluate tools to work inside that frame.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            tabId: {
+              type: 'number',
+              description: 'Tab ID to operate on (uses connected tab if not specified)',
+            },
+            timeout: TIMEOUT_PROPERTY,
+          },
+          required: [],
+        },
+      },
       {
         name: 'browser_get_cookies',
         description: 'Get cookies for a page',
@@ -618,6 +1075,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'number',
               description: 'Tab ID to get cookies for (uses connected tab if not specified)',
             },
+            timeout: TIMEOUT_PROPERTY,
           },
           required: [],
         },
@@ -660,85 +1118,474 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'number',
               description: 'Tab ID to set cookie for (uses connected tab if not specified)',
             },
+            timeout: TIMEOUT_PROPERTY,
           },
           required: ['name', 'value'],
         },
       },
       {
         name: 'browser_network_requests',
-        description: 'Get captured network requests. First call installs interceptor, subsequent calls return captured requests.',
+        description: 'Get network requests captured for a tab: documents, scripts, images, XHR/fetch, WebSockets and everything else, with headers, timing phases and failure reasons. Capture starts when a tab is connected with browser_connect_tab or opened with browser_tab_new or browser_window_new, before its first page loads; other tabs start on their first network tool call. Reads do not clear the capture: pass the returned cursor to get only newer requests.',
         inputSchema: {
           type: 'object',
           properties: {
             filter: {
               type: 'string',
-              description: 'Optional URL pattern to filter requests',
+              description: 'Only return requests whose URL contains this text',
+            },
+            urlPattern: {
+              type: 'string',
+              description: 'Only return requests whose URL matches this regular expression (e.g., "/api/(users|orders)")',
+            },
+            resourceType: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ['Document', 'Stylesheet', 'Image', 'Media', 'Font', 'Script', 'XHR', 'Fetch', 'EventSource', 'WebSocket', 'Manifest', 'Ping', 'Preflight', 'Other'],
+              },
+              description: 'Only return these resource types',
+            },
+            status: {
+              type: 'array',
+              items: {
+                type: 'string',
+              },
+              description: 'Only return requests with these statuses: exact codes ("404"), classes ("4xx", "5xx") or "failed" for requests that never got a response',
+            },
+            cursor: {
+              type: 'number',
+              description: 'Return only requests after this cursor (from a previous call)',
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum number of requests to return (default 100)',
+            },
+            includeHeaders: {
+              type: 'boolean',
+              description: 'Include request/response headers and POST data (default true)',
+            },
+            includeBodies: {
+              type: 'boolean',
+              description: 'Include response bodies (default false). Bodies are only available while the browser still holds them. Each is cut at 1MB, and past 20MB of bodies in one call the rest are omitted (counted in bodiesOmitted).',
             },
             tabId: {
               type: 'number',
               description: 'Tab ID to get requests for (uses connected tab if not specified)',
             },
+            timeout: TIMEOUT_PROPERTY,
           },
           required: [],
         },
       },
-      // Recording tools
-      {
-        name: 'browser_list_recordings',
-        description: 'List all saved recordings. Recordings are user-created action sequences that can be replayed.',
-        inputSchema: {
-          type: 'object',
-          properties: {},
-          required: [],
-        },
-      },
       {
-        name: 'browser_get_recording',
-        description: 'Get details of a specific recording by name, including all recorded actions.',
+        name: 'browser_network_mark',
+        description: 'Mark the current point in a tab\'s network capture, e.g. before starting a flow. Pass the mark to browser_export_har as "since" to export only traffic after it.',
         inputSchema: {
           type: 'object',
           properties: {
             name: {
               type: 'string',
-              description: 'Name of the recording to retrieve',
+              description: 'Name for the mark (defaults to "mark-N")',
+            },
+            tabId: {
+              type: 'number',
+              description: 'Tab ID to mark (uses connected tab if not specified)',
             },
+            timeout: TIMEOUT_PROPERTY,
           },
-          required: ['name'],
+          required: [],
         },
       },
       {
-        name: 'browser_replay_recording',
-        description: 'Replay a saved recording by name. Executes all recorded actions in sequence.',
+        name: 'browser_export_har',
+        description: 'Write a tab\'s captured network traffic to a HAR 1.2 file (opens in Chrome DevTools and HAR viewers). Includes pages, entries, headers, cookies and timings.',
         inputSchema: {
           type: 'object',
           properties: {
-            name: {
+            path: {
               type: 'string',
-              description: 'Name of the recording to replay',
+              description: 'File to write (defaults to ~/.bronco-browser-har/tab-<id>-<timestamp>.har)',
+            },
+            since: {
+              type: 'string',
+              description: 'Only export traffic after this mark name (from browser_network_mark) or cursor (from browser_network_requests)',
+            },
+            includeBodies: {
+              type: 'boolean',
+              description: 'Include response bodies (default false). Bodies are only available while the browser still holds them. Each is cut at 1MB, and past 20MB of bodies in one call the rest are omitted (counted in bodiesOmitted).',
+            },
+            tabId: {
+              type: 'number',
+              description: 'Tab ID to export (uses connected tab if not specified)',
             },
+            timeout: TIMEOUT_PROPERTY,
           },
-          required: ['name'],
+          required: [],
         },
       },
       {
-        name: 'browser_delete_recording',
-        description: 'Delete a saved recording by name.',
+        name: 'browser_route',
+        description: 'Intercept requests in a tab whose URL matches a pattern: block them, fulfill them with a canned response, modify their request headers, or delay them. Rules are checked in the order they were added; the first match wins.',
         inputSchema: {
           type: 'object',
           properties: {
-            name: {
+            urlPattern: {
               type: 'string',
-              description: 'Name of the recording to delete',
+              description: 'URL glob: "*" matches any characters, "?" one character (e.g., "*://api.example.com/users*")',
             },
-          },
-          required: ['name'],
-        },
-      },
-    ],
-  };
-});
-
-// Handle tool calls
+            action: {
+              type: 'string',
+              description: '"block" fails the request, "fulfill" answers it with status/headers/body, "modify" changes request headers, "delay" holds it for delay ms then lets it through',
+              enum: ['block', 'fulfill', 'modify', 'delay'],
+            },
+            method: {
+              type: 'string',
+              description: 'Only match this HTTP method (e.g., "POST")',
+            },
+            resourceType: {
+              type: 'string',
+              description: 'Only match this resource type',
+              enum: ['Document', 'Stylesheet', 'Image', 'Media', 'Font', 'Script', 'XHR', 'Fetch', 'EventSource', 'WebSocket', 'Manifest', 'Ping', 'Other'],
+            },
+            status: {
+              type: 'number',
+              description: 'Response status for "fulfill" (default 200)',
+            },
+            headers: {
+              type: 'object',
+              description: 'For "fulfill": response headers. For "modify": request headers to set (null removes a header).',
+            },
+            body: {
+              type: 'string',
+              description: 'Response body text for "fulfill"',
+            },
+            bodyPath: {
+              type: 'string',
+              description: 'Local file to use as the response body for "fulfill" (Content-Type is guessed from the extension if not set in headers)',
+            },
+            errorReason: {
+              type: 'string',
+              description: 'Network error for "block" (default "BlockedByClient")',
+              enum: ['Failed', 'Aborted', 'TimedOut', 'AccessDenied', 'ConnectionClosed', 'ConnectionReset', 'ConnectionRefused', 'ConnectionAborted', 'ConnectionFailed', 'NameNotResolved', 'InternetDisconnected', 'AddressUnreachable', 'BlockedByClient', 'BlockedByResponse'],
+            },
+            delay: {
+              type: 'number',
+              description: 'Milliseconds to hold the request before applying the action (required for "delay")',
+            },
+            times: {
+              type: 'number',
+              description: 'Remove the rule after it has matched this many requests',
+            },
+            tabId: {
+              type: 'number',
+              description: 'Tab ID to add the rule to (uses connected tab if not specified)',
+            },
+            timeout: TIMEOUT_PROPERTY,
+          },
+          required: ['urlPattern', 'action'],
+        },
+      },
+      {
+        name: 'browser_route_list',
+        description: 'List the request interception rules of a tab, with how many requests each has matched',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            tabId: {
+              type: 'number',
+              description: 'Tab ID to list rules for (uses connected tab if not specified)',
+            },
+            timeout: TIMEOUT_PROPERTY,
+          },
+          required: [],
+        },
+      },
+      {
+        name: 'browser_route_remove',
+        description: 'Remove a request interception rule, or all of a tab\'s rules',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            routeId: {
+              type: 'string',
+              description: 'Rule ID from browser_route (removes all rules if not specified)',
+            },
+            tabId: {
+              type: 'number',
+              description: 'Tab ID to remove rules from (uses connected tab if not specified)',
+            },
+            timeout: TIMEOUT_PROPERTY,
+          },
+          required: [],
+        },
+      },
+      {
+        name: 'browser_emulate_network',
+        description: 'Throttle a tab\'s network (offline, slow 3G, fast 3G or custom) and/or CPU to see how the app behaves on slow devices and connections. Active settings are shown by browser_get_page_info and cleared on browser_disconnect_tab and browser_tab_close.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            preset: {
+              type: 'string',
+              description: 'Network conditions: "none" (no throttling), "offline", "slow3g", "fast3g", or "custom" with latency/downloadKbps/uploadKbps',
+              enum: ['none', 'offline', 'slow3g', 'fast3g', 'custom'],
+            },
+            latency: {
+              type: 'number',
+              description: 'Added round-trip latency in milliseconds (custom preset)',
+            },
+            downloadKbps: {
+              type: 'number',
+              description: 'Download throughput in kilobits per second (custom preset, 0 = unlimited)',
+            },
+            uploadKbps: {
+              type: 'number',
+              description: 'Upload throughput in kilobits per second (custom preset, 0 = unlimited)',
+            },
+            cpuThrottling: {
+              type: 'number',
+              description: 'CPU slowdown multiplier (e.g., 4 = 4x slower, 1 = no throttling)',
+            },
+            tabId: {
+              type: 'number',
+              description: 'Tab ID to throttle (uses connected tab if not specified)',
+            },
+            timeout: TIMEOUT_PROPERTY,
+          },
+          required: [],
+        },
+      },
+      {
+        name: 'browser_emulate',
+        description: 'Emulate a device, viewport, user agent, locale, timezone, geolocation or CSS media features on a tab, for testing responsive layouts and mobile behavior. Settings combine with earlier calls and are shown by browser_get_page_info; pass reset to clear them. They are also cleared on browser_disconnect_tab.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            device: {
+              type: 'string',
+              description: 'Device preset (sets viewport, scale factor, touch and user agent; other arguments override it)',
+              enum: DEVICE_NAMES,
+            },
+            width: {
+              type: 'number',
+              description: 'Viewport width in CSS pixels',
+            },
+            height: {
+              type: 'number',
+              description: 'Viewport height in CSS pixels',
+            },
+            deviceScaleFactor: {
+              type: 'number',
+              description: 'Device pixel ratio (e.g., 2 for retina)',
+            },
+            mobile: {
+              type: 'boolean',
+              description: 'Emulate a mobile viewport (meta viewport, overlay scrollbars)',
+            },
+            touch: {
+              type: 'boolean',
+              description: 'Emulate a touch screen',
+            },
+            userAgent: {
+              type: 'string',
+              description: 'User agent string',
+            },
+            locale: {
+              type: 'string',
+              description: 'Locale for Intl APIs and the Accept-Language header (e.g., "de-DE")',
+            },
+            timezone: {
+              type: 'string',
+              description: 'IANA timezone (e.g., "America/New_York")',
+            },
+            geolocation: {
+              type: 'object',
+              description: 'Position reported by the Geolocation API: { latitude, longitude, accuracy }. The page still needs location permission.',
+              properties: {
+                latitude: { type: 'number' },
+                longitude: { type: 'number' },
+                accuracy: { type: 'number' },
+              },
+            },
+            colorScheme: {
+              type: 'string',
+              description: 'prefers-color-scheme value',
+              enum: ['light', 'dark', 'no-preference'],
+            },
+            reducedMotion: {
+              type: 'string',
+              description: 'prefers-reduced-motion value',
+              enum: ['reduce', 'no-preference'],
+            },
+            media: {
+              type: 'string',
+              description: 'CSS media type ("print" to see print styles)',
+              enum: ['screen', 'print'],
+            },
+            reset: {
+              type: 'boolean',
+              description: 'Clear all emulation on the tab before applying the other arguments',
+            },
+            tabId: {
+              type: 'number',
+              description: 'Tab ID to emulate on (uses connected tab if not specified)',
+            },
+            timeout: TIMEOUT_PROPERTY,
+          },
+          required: [],
+        },
+      },
+      // Recording tools
+      {
+        name: 'browser_list_recordings',
+        description: 'List all saved recordings. Recordings are user-created action sequences that can be replayed. The list is shared with the extension popup: recordings saved there show up here and vice versa.',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+          required: [],
+        },
+      },
+      {
+        name: 'browser_get_recording',
+        description: 'Get details of a specific recording by name, including all recorded actions.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Name of the recording to retrieve',
+            },
+          },
+          required: ['name'],
+        },
+      },
+      {
+        name: 'browser_replay_recording',
+        description: 'Replay a saved recording by name. Executes all recorded actions in sequence and reports whether each step succeeded; the replay succeeds only if no step failed or was skipped. When a recorded selector no longer matches, replay falls back to the other selectors recorded for the element (id, test id, role and name, text, CSS path) and then to its fingerprint; each step reports the strategy that found the element, and healed lists the steps that succeeded with a fallback. Pass healed to browser_apply_healed_selectors to save those selectors without replaying again.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Name of the recording to replay',
+            },
+            timeout: {
+              type: 'number',
+              description: `Maximum time in milliseconds for each step of the replay (default ${CONFIGURED_TIMEOUT ?? 'each step\'s own limit, as for the individual tools'})`,
+            },
+          },
+          required: ['name'],
+        },
+      },
+      {
+        name: 'browser_apply_healed_selectors',
+        description: 'Save the selectors a replay healed into the recording, so those steps use them directly next time. The old selectors are kept as fallbacks. Nothing is replayed.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Name of the recording to update',
+            },
+            healed: {
+              type: 'array',
+              description: 'The healed list returned by browser_replay_recording, or the entries of it to keep',
+              items: {
+                type: 'object',
+                properties: {
+                  index: { type: 'number', description: 'Index of the step in the recording' },
+                  field: { type: 'string', enum: ['selector', 'targetSelector'], description: 'Which selector of the step to replace' },
+                  from: { type: 'string', description: 'The recorded selector that no longer matched' },
+                  to: { type: 'string', description: 'The selector that found the element' },
+                  strategy: { type: 'string', description: 'The strategy that produced the new selector' },
+                  candidates: { type: 'array', description: 'Fresh selectors for the element, when it was found by its fingerprint', items: { type: 'object' } },
+                },
+                required: ['index', 'field', 'from', 'to'],
+              },
+            },
+          },
+          required: ['name', 'healed'],
+        },
+      },
+      {
+        name: 'browser_delete_recording',
+        description: 'Delete a saved recording by name.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Name of the recording to delete',
+            },
+          },
+          required: ['name'],
+        },
+      },
+      {
+        name: 'browser_rename_recording',
+        description: 'Rename a saved recording. Fails if another recording already has the new name.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Current name of the recording',
+            },
+            newName: {
+              type: 'string',
+              description: 'New name for the recording',
+            },
+          },
+          required: ['name', 'newName'],
+        },
+      },
+      {
+        name: 'browser_save_recording',
+        description: 'Save the recording made in the extension popup that has not been saved yet (stopping it first if it is still running).',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Name to save the recording under',
+            },
+            overwrite: {
+              type: 'boolean',
+              description: 'Replace an existing recording with the same name (default: false, which fails instead)',
+            },
+            timeout: TIMEOUT_PROPERTY,
+          },
+          required: ['name'],
+        },
+      },
+      {
+        name: 'browser_export_recording',
+        description: 'Export a saved recording as a runnable Playwright test or Puppeteer script using the recorded selectors, or as a markdown test (numbered Instructions, placeholder Expectations) for bronco-tests/ and /bronco-run-tests. Navigate, click, type, select, keypress and upload actions are exported; steps that cannot be exported are listed under "skipped" (and left as comments in scripts), so check it before treating the file as complete. Recorded uploads only know the file name, so point them at a real file.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Name of the recording to export',
+            },
+            format: {
+              type: 'string',
+              description: 'Output format: playwright, puppeteer, or markdown for a bronco-tests test (default: playwright)',
+              enum: EXPORT_FORMATS,
+            },
+            path: {
+              type: 'string',
+              description: 'File to write the script to. If omitted, the script is returned instead.',
+            },
+          },
+          required: ['name'],
+        },
+      },
+    ],
+  };
+});
+
+// Handle tool calls
 server.setRequestHandler(CallToolRequestSchema, async (request) => {
   const { name, arguments: args } = request.params;
 
@@ -747,90 +1594,161 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
     switch (name) {
       case 'browser_list_tabs':
-        result = await sendToExtension('list_tabs');
+        result = await sendToExtension('list_tabs', { timeout: args.timeout });
         break;
 
       case 'browser_connect_tab':
-        result = await sendToExtension('connect_tab', { tabId: args.tabId });
+        result = await sendToExtension('connect_tab', { timeout: args.timeout, tabId: args.tabId });
         break;
 
       case 'browser_disconnect_tab':
-        result = await sendToExtension('disconnect_tab');
+        result = await sendToExtension('disconnect_tab', { timeout: args.timeout });
         break;
 
       case 'browser_get_page_info':
-        result = await sendToExtension('get_page_info', { tabId: args.tabId });
+        result = await sendToExtension('get_page_info', { timeout: args.timeout, tabId: args.tabId });
         break;
 
       case 'browser_navigate':
-        result = await sendToExtension('navigate', { url: args.url, tabId: args.tabId });
+        result = await sendToExtension('navigate', {
+          url: args.url,
+          waitUntil: args.waitUntil,
+          timeout: args.timeout,
+          tabId: args.tabId
+        });
         break;
 
       case 'browser_click':
-        result = await sendToExtension('click', { selector: args.selector, tabId: args.tabId });
+        result = await sendToExtension('click', {
+          selector: args.selector,
+          ref: args.ref,
+          button: args.button,
+          clickCount: args.clickCount,
+          inputMode: args.inputMode,
+          frameId: args.frameId,
+          frame: args.frame,
+          timeout: args.timeout,
+          tabId: args.tabId
+        });
         break;
 
       case 'browser_type':
-        result = await sendToExtension('type', { selector: args.selector, text: args.text, tabId: args.tabId });
+        result = await sendToExtension('type', {
+          selector: args.selector,
+          ref: args.ref,
+          text: args.text,
+          inputMode: args.inputMode,
+          frameId: args.frameId,
+          frame: args.frame,
+          timeout: args.timeout,
+          tabId: args.tabId
+        });
         break;
 
       case 'browser_select_option':
-        result = await sendToExtension('select_option', { selector: args.selector, value: args.value, tabId: args.tabId });
+        result = await sendToExtension('select_option', {
+          selector: args.selector,
+          ref: args.ref,
+          value: args.value,
+          frameId: args.frameId,
+          frame: args.frame,
+          timeout: args.timeout,
+          tabId: args.tabId
+        });
         break;
 
       case 'browser_press_key':
-        result = await sendToExtension('press_key', { key: args.key, selector: args.selector, tabId: args.tabId });
+        result = await sendToExtension('press_key', {
+          key: args.key,
+          selector: args.selector,
+          ref: args.ref,
+          inputMode: args.inputMode,
+          frameId: args.frameId,
+          frame: args.frame,
+          timeout: args.timeout,
+          tabId: args.tabId
+        });
         break;
 
-      case 'browser_screenshot':
-        result = await sendToExtension('screenshot', { tabId: args.tabId });
-        break;
+      case 'browser_screenshot': {
+        const shot = await sendToExtension('screenshot', {
+          selector: args.selector,
+          ref: args.ref,
+          fullPage: args.fullPage,
+          format: args.format,
+          quality: args.quality,
+          frameId: args.frameId,
+          frame: args.frame,
+          timeout: args.timeout,
+          tabId: args.tabId
+        });
+        if (!shot.success) {
+          result = shot;
+          break;
+        }
+        // Return the image as an image block, with the remaining fields as text
+        const { data, mimeType, ...info } = shot;
+        return {
+          content: [
+            { type: 'image', data, mimeType },
+            { type: 'text', text: JSON.stringify(info, null, 2) },
+          ],
+        };
+      }
 
       case 'browser_go_back':
-        result = await sendToExtension('go_back', { tabId: args.tabId });
+        result = await sendToExtension('go_back', { waitUntil: args.waitUntil, timeout: args.timeout, tabId: args.tabId });
         break;
 
       case 'browser_go_forward':
-        result = await sendToExtension('go_forward', { tabId: args.tabId });
+        result = await sendToExtension('go_forward', { waitUntil: args.waitUntil, timeout: args.timeout, tabId: args.tabId });
+        break;
+
+      case 'browser_reload':
+        result = await sendToExtension('reload', {
+          waitUntil: args.waitUntil,
+          timeout: args.timeout,
+          bypassCache: args.bypassCache,
+          tabId: args.tabId
+        });
         break;
 
       case 'browser_console_messages':
-        result = await sendToExtension('console_messages', { tabId: args.tabId });
+        result = await sendToExtension('console_messages', {
+          level: args.level,
+          cursor: args.cursor,
+          limit: args.limit,
+          timeout: args.timeout,
+          tabId: args.tabId
+        });
         break;
 
       case 'browser_snapshot':
-        result = await sendToExtension('snapshot', { tabId: args.tabId });
+        result = await sendToExtension('snapshot', { mode: args.mode, frameId: args.frameId, frame: args.frame, timeout: args.timeout, tabId: args.tabId });
         break;
 
       case 'browser_tab_new':
-        result = await sendToExtension('tab_new', { url: args.url, windowId: args.windowId });
+        result = await sendToExtension('tab_new', { url: args.url, windowId: args.windowId, timeout: args.timeout });
         break;
 
       case 'browser_window_new':
-        result = await sendToExtension('window_new', { url: args.url });
+        result = await sendToExtension('window_new', { url: args.url, device: args.device, timeout: args.timeout });
         break;
 
       case 'browser_window_close':
-        result = await sendToExtension('window_close', { windowId: args.windowId });
+        result = await sendToExtension('window_close', { windowId: args.windowId, timeout: args.timeout });
         break;
 
       case 'browser_upload_file': {
-        // Read file from disk
-        const filePath = resolve(args.filePath);
-        const fileContent = readFileSync(filePath);
-        const base64Content = fileContent.toString('base64');
-
-        // Determine filename
-        const fileName = args.fileName || filePath.split('/').pop();
-
-        // Determine mime type
-        const mimeType = args.mimeType || getMimeType(fileName);
-
+        const files = await streamUploadFiles(collectUploadFiles(args), args.timeout);
         result = await sendToExtension('upload_file', {
           selector: args.selector,
-          fileName,
-          fileContent: base64Content,
-          mimeType,
+          ref: args.ref,
+          files,
+          mode: args.mode,
+          frameId: args.frameId,
+          frame: args.frame,
+          timeout: args.timeout,
           tabId: args.tabId,
         });
         break;
@@ -838,7 +1756,19 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
       // Phase 2 tools
       case 'browser_hover':
-        result = await sendToExtension('hover', { selector: args.selector, tabId: args.tabId });
+        result = await sendToExtension('hover', {
+          selector: args.selector,
+          ref: args.ref,
+          inputMode: args.inputMode,
+          frameId: args.frameId,
+          frame: args.frame,
+          timeout: args.timeout,
+          tabId: args.tabId
+        });
+        break;
+
+      case 'browser_set_input_mode':
+        result = await sendToExtension('set_input_mode', { mode: args.mode, timeout: args.timeout });
         break;
 
       case 'browser_wait':
@@ -850,7 +1780,13 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       case 'browser_drag':
         result = await sendToExtension('drag', {
           sourceSelector: args.sourceSelector,
+          sourceRef: args.sourceRef,
           targetSelector: args.targetSelector,
+          targetRef: args.targetRef,
+          inputMode: args.inputMode,
+          frameId: args.frameId,
+          frame: args.frame,
+          timeout: args.timeout,
           tabId: args.tabId
         });
         break;
@@ -859,13 +1795,52 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         result = await sendToExtension('handle_dialog', {
           action: args.action,
           promptText: args.promptText,
+          timeout: args.timeout,
           tabId: args.tabId
         });
         break;
 
+      case 'browser_set_dialog_policy':
+        result = await sendToExtension('set_dialog_policy', {
+          policy: args.policy,
+          promptText: args.promptText,
+          timeout: args.timeout,
+          tabId: args.tabId
+        });
+        break;
+
+      case 'browser_list_dialogs':
+        result = await sendToExtension('list_dialogs', { timeout: args.timeout, tabId: args.tabId });
+        break;
+
       case 'browser_tab_close':
-        result = await sendToExtension('tab_close', { tabId: args.tabId });
+        result = await sendToExtension('tab_close', { timeout: args.timeout, tabId: args.tabId });
+        break;
+
+      case 'browser_wait_for_download':
+        result = await sendToExtension('wait_for_download', {
+          waitForCompletion: args.waitForCompletion,
+          timeout: args.timeout,
+          tabId: args.tabId
+        });
+        if (args.path && result.success && result.download.state === 'complete') {
+          result = { ...result, download: saveDownload(result.download, args.path) };
+        }
+        break;
+
+      case 'browser_list_downloads':
+        result = await sendToExtension('list_downloads', { timeout: args.timeout, tabId: args.tabId });
+        break;
+
+      case 'browser_cancel_download':
+        result = await sendToExtension('cancel_download', { downloadId: args.downloadId, timeout: args.timeout });
+        break;
+
+      case 'browser_save_download': {
+        const { download } = await sendToExtension('get_download', { downloadId: args.downloadId, timeout: args.timeout });
+        result = { success: true, download: saveDownload(download, args.path) };
         break;
+      }
 
       // Phase 3 tools
       case 'browser_scroll':
@@ -873,6 +1848,10 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           direction: args.direction,
           amount: args.amount,
           selector: args.selector,
+          ref: args.ref,
+          frameId: args.frameId,
+          frame: args.frame,
+          timeout: args.timeout,
           tabId: args.tabId
         });
         break;
@@ -880,17 +1859,23 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       case 'browser_wait_for_selector':
         result = await sendToExtension('wait_for_selector', {
           selector: args.selector,
+          frameId: args.frameId,
+          frame: args.frame,
           timeout: args.timeout,
           tabId: args.tabId
         });
         break;
 
       case 'browser_evaluate':
-        result = await sendToExtension('evaluate', { code: args.code, tabId: args.tabId });
+        result = await sendToExtension('evaluate', { code: args.code, frameId: args.frameId, frame: args.frame, timeout: args.timeout, tabId: args.tabId });
+        break;
+
+      case 'browser_list_frames':
+        result = await sendToExtension('list_frames', { timeout: args.timeout, tabId: args.tabId });
         break;
 
       case 'browser_get_cookies':
-        result = await sendToExtension('get_cookies', { tabId: args.tabId });
+        result = await sendToExtension('get_cookies', { timeout: args.timeout, tabId: args.tabId });
         break;
 
       case 'browser_set_cookie':
@@ -902,15 +1887,111 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           secure: args.secure,
           httpOnly: args.httpOnly,
           expirationDate: args.expirationDate,
+          timeout: args.timeout,
           tabId: args.tabId,
         });
         break;
 
       case 'browser_network_requests':
-        result = await sendToExtension('network_requests', { filter: args.filter, tabId: args.tabId });
+        result = await sendToExtension('network_requests', {
+          filter: args.filter,
+          urlPattern: args.urlPattern,
+          resourceType: args.resourceType,
+          status: args.status,
+          cursor: args.cursor,
+          limit: args.limit,
+          includeHeaders: args.includeHeaders,
+          includeBodies: args.includeBodies,
+          timeout: args.timeout,
+          tabId: args.tabId
+        });
+        break;
+
+      case 'browser_network_mark':
+        result = await sendToExtension('network_mark', { name: args.name, timeout: args.timeout, tabId: args.tabId });
+        break;
+
+      case 'browser_export_har': {
+        const exported = await sendToExtension('export_har', {
+          since: args.since,
+          includeBodies: args.includeBodies,
+          timeout: args.timeout,
+          tabId: args.tabId
+        });
+        result = writeHarFile(exported, args.path);
+        break;
+      }
+
+      case 'browser_route': {
+        const headers = { ...args.headers };
+        let bodyBase64;
+        if (args.bodyPath) {
+          const bodyPath = resolve(args.bodyPath);
+          bodyBase64 = readFileSync(bodyPath).toString('base64');
+          if (!Object.keys(headers).some(header => header.toLowerCase() === 'content-type')) {
+            headers['Content-Type'] = getMimeType(bodyPath);
+          }
+        }
+        result = await sendToExtension('route_add', {
+          urlPattern: args.urlPattern,
+          action: args.action,
+          method: args.method,
+          resourceType: args.resourceType,
+          status: args.status,
+          headers,
+          body: args.body,
+          bodyBase64,
+          errorReason: args.errorReason,
+          delay: args.delay,
+          times: args.times,
+          timeout: args.timeout,
+          tabId: args.tabId
+        });
+        break;
+      }
+
+      case 'browser_route_list':
+        result = await sendToExtension('route_list', { timeout: args.timeout, tabId: args.tabId });
+        break;
+
+      case 'browser_route_remove':
+        result = await sendToExtension('route_remove', { routeId: args.routeId, timeout: args.timeout, tabId: args.tabId });
+        break;
+
+      case 'browser_emulate_network':
+        result = await sendToExtension('emulate_network', {
+          preset: args.preset,
+          latency: args.latency,
+          downloadKbps: args.downloadKbps,
+          uploadKbps: args.uploadKbps,
+          cpuThrottling: args.cpuThrottling,
+          timeout: args.timeout,
+          tabId: args.tabId
+        });
+        break;
+
+      case 'browser_emulate':
+        result = await sendToExtension('emulate', {
+          device: args.device,
+          width: args.width,
+          height: args.height,
+          deviceScaleFactor: args.deviceScaleFactor,
+          mobile: args.mobile,
+          touch: args.touch,
+          userAgent: args.userAgent,
+          locale: args.locale,
+          timezone: args.timezone,
+          geolocation: args.geolocation,
+          colorScheme: args.colorScheme,
+          reducedMotion: args.reducedMotion,
+          media: args.media,
+          reset: args.reset,
+          timeout: args.timeout,
+          tabId: args.tabId
+        });
         break;
 
-      // Recording tools - now use file-based storage
+      // Recording tools - the server's disk store is shared with the extension
       case 'browser_list_recordings':
         result = listRecordingsFromDisk();
         break;
@@ -920,19 +2001,53 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         break;
 
       case 'browser_replay_recording':
-        result = await replayRecordingFromDisk(args.name);
+        result = await replayRecordingFromDisk(args.name, args.timeout);
+        break;
+
+      case 'browser_apply_healed_selectors':
+        result = applyHealedSelectors(getRecordingFromDisk(args.name), args.healed || []);
+        sendRecordingsToExtension();
         break;
 
       case 'browser_delete_recording':
         result = deleteRecordingFromDisk(args.name);
+        sendRecordingsToExtension();
         break;
 
-      case 'browser_save_recording':
-        // Save recording from extension to disk
-        const recording = await sendToExtension('get_current_recording');
-        result = saveRecordingToDisk(args.name, recording);
+      case 'browser_export_recording': {
+        const format = args.format || 'playwright';
+        const { code, skipped } = exportRecording(getRecordingFromDisk(args.name), format);
+        if (args.path) {
+          const filepath = resolve(args.path);
+          mkdirSync(dirname(filepath), { recursive: true });
+          writeFileSync(filepath, code);
+          result = { success: true, name: args.name, format, file: filepath };
+        } else {
+          result = { success: true, name: args.name, format, suggestedFilename: exportFilename(args.name, format), code };
+        }
+        if (skipped.length) {
+          result.skipped = skipped;
+          result.warning = `${skipped.length} step(s) could not be exported, so the ${format} test is incomplete.`;
+        }
+        break;
+      }
+
+      case 'browser_rename_recording':
+        result = renameRecordingOnDisk(args.name, args.newName);
+        sendRecordingsToExtension();
         break;
 
+      case 'browser_save_recording': {
+        // Check the name first so a conflict doesn't take the recording out of the extension
+        if (!args.overwrite && findRecordingFile(args.name)) {
+          throw new Error(`Recording "${args.name}" already exists. Pass overwrite: true to replace it, or choose another name.`);
+        }
+        const recording = await sendToExtension('take_current_recording', { timeout: args.timeout });
+        result = saveRecordingToDisk(args.name, recording, { overwrite: true });
+        sendRecordingsToExtension();
+        break;
+      }
+
       default:
         throw new Error(`Unknown tool: ${name}`);
     }
@@ -988,141 +2103,279 @@ function getMimeType(filename) {
   return mimeTypes[ext] || 'application/octet-stream';
 }
 
-// ========== File-based Recording Storage ==========
+// ========== Uploads ==========
 
-// Ensure recordings directory exists
-function ensureRecordingsDir() {
-  if (!existsSync(RECORDINGS_DIR)) {
-    mkdirSync(RECORDINGS_DIR, { recursive: true });
-  }
-}
+// Most file data sent inline with upload_file, across all its files. Other files go
+// to the extension ahead of it in chunks of this size.
+const UPLOAD_CHUNK_SIZE = 512 * 1024;
 
-// Convert name to safe filename
-function toFilename(name) {
-  return name.replace(/[^a-zA-Z0-9-_]/g, '_') + '.json';
+// Gather the files for browser_upload_file from filePath and files: [{ name, mimeType, bytes }]
+function collectUploadFiles(args) {
+  const specs = [...(args.files || [])];
+  if (args.filePath) {
+    specs.unshift({ path: args.filePath, name: args.fileName, mimeType: args.mimeType });
+  }
+  if (specs.length === 0) {
+    throw new Error('No files to upload. Pass filePath or files.');
+  }
+  return specs.map((spec, index) => {
+    let bytes;
+    let name = spec.name;
+    if (spec.path) {
+      const filePath = resolve(spec.path);
+      bytes = readFileSync(filePath);
+      name = name || basename(filePath);
+    } else if (spec.content !== undefined) {
+      if (!name) {
+        throw new Error(`files[${index}] needs a name when passing inline content`);
+      }
+      bytes = Buffer.from(spec.content, spec.encoding === 'base64' ? 'base64' : 'utf8');
+    } else {
+      throw new Error(`files[${index}] needs either a path or content`);
+    }
+    return { name, mimeType: spec.mimeType || getMimeType(name), bytes };
+  });
 }
 
-// List all recordings from disk
-function listRecordingsFromDisk() {
-  ensureRecordingsDir();
-  const files = readdirSync(RECORDINGS_DIR).filter(f => f.endsWith('.json'));
-  const recordings = {};
-
+// Send files ahead of the upload one chunk per message. Files go inline with upload_file
+// only while their combined size stays within UPLOAD_CHUNK_SIZE.
+async function streamUploadFiles(files, timeout) {
+  const prepared = [];
+  let inlineSize = 0;
   for (const file of files) {
-    try {
-      const content = readFileSync(join(RECORDINGS_DIR, file), 'utf-8');
-      const recording = JSON.parse(content);
-      recordings[recording.name] = {
-        name: recording.name,
-        actionCount: recording.actions?.length || 0,
-        createdAt: recording.createdAt,
-        url: recording.url,
-        file: join(RECORDINGS_DIR, file)
-      };
-    } catch (err) {
-      console.error(`[Bronco] Error reading recording ${file}:`, err.message);
+    if (inlineSize + file.bytes.length <= UPLOAD_CHUNK_SIZE) {
+      inlineSize += file.bytes.length;
+      prepared.push({ name: file.name, mimeType: file.mimeType, content: file.bytes.toString('base64') });
+      continue;
     }
+    const uploadId = randomUUID();
+    for (let offset = 0, index = 0; offset < file.bytes.length; offset += UPLOAD_CHUNK_SIZE, index++) {
+      await sendToExtension('upload_chunk', {
+        uploadId,
+        index,
+        data: file.bytes.subarray(offset, offset + UPLOAD_CHUNK_SIZE).toString('base64'),
+        timeout
+      });
+    }
+    prepared.push({ name: file.name, mimeType: file.mimeType, uploadId });
   }
-
-  return recordings;
-}
-
-// Get a single recording from disk
-function getRecordingFromDisk(name) {
-  ensureRecordingsDir();
-  const filename = toFilename(name);
-  const filepath = join(RECORDINGS_DIR, filename);
-
-  if (!existsSync(filepath)) {
-    throw new Error(`Recording "${name}" not found`);
-  }
-
-  const content = readFileSync(filepath, 'utf-8');
-  return JSON.parse(content);
+  return prepared;
 }
 
-// Save a recording to disk
-function saveRecordingToDisk(name, recording) {
-  ensureRecordingsDir();
-  const filename = toFilename(name);
-  const filepath = join(RECORDINGS_DIR, filename);
-
-  const data = {
-    name,
-    actions: recording.actions || recording,
-    createdAt: Date.now(),
-    url: recording.url || (recording.actions?.[0]?.url) || ''
-  };
+// ========== HAR Export ==========
 
-  writeFileSync(filepath, JSON.stringify(data, null, 2));
+// Write a HAR log returned by the extension to disk
+function writeHarFile(exported, path) {
+  const filepath = path
+    ? resolve(path)
+    : join(HAR_DIR, `tab-${exported.tabId}-${new Date().toISOString().replace(/[:.]/g, '-')}.har`);
+  mkdirSync(dirname(filepath), { recursive: true });
+  writeFileSync(filepath, JSON.stringify(exported.har, null, 2));
 
+  const { pages, entries } = exported.har.log;
   return {
     success: true,
-    name,
     file: filepath,
-    actionCount: data.actions.length
+    url: exported.url,
+    since: exported.since,
+    pageCount: pages.length,
+    entryCount: entries.length,
+    ...(exported.bodiesOmitted && { bodiesOmitted: exported.bodiesOmitted })
   };
 }
 
-// Delete a recording from disk
-function deleteRecordingFromDisk(name) {
-  ensureRecordingsDir();
-  const filename = toFilename(name);
-  const filepath = join(RECORDINGS_DIR, filename);
+// ========== Downloads ==========
+
+// Copy a finished download out of the browser's download folder. Returns the download with savedTo set.
+function saveDownload(download, path) {
+  if (download.state !== 'complete') {
+    throw new Error(`Download ${download.downloadId} is ${download.state}, not complete`);
+  }
+  if (!download.path || !existsSync(download.path)) {
+    throw new Error(`Downloaded file not found at ${download.path} - it may have been moved or deleted, or the browser runs on another machine`);
+  }
+  let target = path ? resolve(path) : join(DOWNLOADS_DIR, download.filename);
+  if (path && (path.endsWith('/') || (existsSync(target) && statSync(target).isDirectory()))) {
+    target = join(target, download.filename);
+  }
+  mkdirSync(dirname(target), { recursive: true });
+  copyFileSync(download.path, target);
+  return { ...download, savedTo: target };
+}
+
+// ========== Recording Sync ==========
+// The recordings directory is the single store. The extension pushes recordings saved in the
+// popup (plus renames and deletes) with a recordings_sync message and gets the full list back;
+// the list is also pushed to it whenever an agent changes the store.
+
+// Push the current recording list to the extension, with the results of any ops it sent
+function sendRecordingsToExtension(results = []) {
+  if (!extensionSocket || extensionSocket.readyState !== 1) return;
+  try {
+    extensionSocket.send(JSON.stringify({
+      type: 'recordings',
+      recordings: Object.values(listRecordingsFromDisk()),
+      results
+    }));
+  } catch (err) {
+    console.error('[Bronco] Error sending recordings:', err.message);
+  }
+}
+
+// Find the element a recorded action targets and return the selector that matches it now:
+// { selector, strategy, healed }. prefix picks the element, e.g. "target" for a drag's drop target.
+// Recordings made before candidates and fingerprints were recorded use their selector as is.
+async function locateRecordedElement(action, prefix, timeout) {
+  const field = (name) => prefix ? prefix + name[0].toUpperCase() + name.slice(1) : name;
+  const selector = action[field('selector')];
+  const candidates = action[field('candidates')];
+  const fingerprint = action[field('fingerprint')];
+  if (!candidates && !fingerprint) {
+    return { selector, strategy: 'recorded', healed: false };
+  }
 
-  if (!existsSync(filepath)) {
-    throw new Error(`Recording "${name}" not found`);
+  const found = await sendToExtension('find_recorded_element', {
+    selector,
+    candidates,
+    fingerprint,
+    frame: action.frame,
+    timeout
+  });
+  if (!found.success) {
+    throw new Error(found.error);
   }
+  return found;
+}
 
-  unlinkSync(filepath);
-  return { success: true, deleted: name };
+// Make healed selectors the recorded ones, keeping the old ones as fallbacks.
+// Every entry is checked first, so a stale list (the recording changed since the replay) saves nothing.
+function applyHealedSelectors(recording, healed) {
+  for (const { index, field, from } of healed) {
+    const action = recording.actions[index];
+    if (!['selector', 'targetSelector'].includes(field)) {
+      throw new Error(`Unknown selector field "${field}" for step ${index}`);
+    }
+    if (!action || action[field] !== from) {
+      throw new Error(`Step ${index} of "${recording.name}" no longer has ${field} "${from}"`);
+    }
+  }
+  for (const { index, field, to, strategy, candidates } of healed) {
+    const action = recording.actions[index];
+    const candidatesField = field === 'selector' ? 'candidates' : 'targetCandidates';
+    // Fingerprint heals come with fresh candidates for the element, led by the new selector
+    const fresh = candidates?.length ? candidates : [{ strategy, selector: to }];
+    action[candidatesField] = [
+      ...fresh,
+      ...(action[candidatesField] || []).filter(old => !fresh.some(candidate => candidate.selector === old.selector))
+    ];
+    action[field] = to;
+  }
+  return { ...saveRecordingToDisk(recording.name, recording, { overwrite: true }), selectorsUpdated: healed.length };
 }
 
-// Replay a recording from disk
-async function replayRecordingFromDisk(name) {
+// Replay a recording from disk. The timeout applies to each step.
+// Steps that succeeded although their recorded selector broke are listed in healed.
+async function replayRecordingFromDisk(name, timeout) {
   const recording = getRecordingFromDisk(name);
   const results = [];
+  const healed = [];
+  // Tabs open before a step that opens a new one, to tell which tab is new
+  let tabsBefore = null;
 
-  for (const action of recording.actions) {
+  for (const [index, action] of recording.actions.entries()) {
     try {
       let result;
+      const located = action.selector ? await locateRecordedElement(action, '', timeout) : null;
+      const dropTarget = action.targetSelector ? await locateRecordedElement(action, 'target', timeout) : null;
+
+      // Element actions run in the recorded frame, if any
+      const target = { selector: located?.selector ?? action.selector, frame: action.frame };
+
+      if (recording.actions[index + 1]?.type === 'new_tab') {
+        const tabs = await sendToExtension('list_tabs', { timeout });
+        tabsBefore = new Set(tabs.map(tab => tab.id));
+      }
 
       switch (action.type) {
         case 'navigate':
-          result = await sendToExtension('navigate', { url: action.url });
-          await new Promise(r => setTimeout(r, 1000));
+          result = await sendToExtension('navigate', { url: action.url, waitUntil: 'load', timeout });
           break;
 
         case 'click':
-          result = await sendToExtension('click', { selector: action.selector });
+          result = await sendToExtension('click', { ...target, timeout });
+          await new Promise(r => setTimeout(r, 300));
+          break;
+
+        case 'dblclick':
+          result = await sendToExtension('click', { ...target, clickCount: 2, timeout });
+          await new Promise(r => setTimeout(r, 300));
+          break;
+
+        case 'rightclick':
+          result = await sendToExtension('click', { ...target, button: 'right', timeout });
           await new Promise(r => setTimeout(r, 300));
           break;
 
         case 'type':
-          result = await sendToExtension('type', { selector: action.selector, text: action.value });
+          result = await sendToExtension('type', { ...target, text: action.value, timeout });
           await new Promise(r => setTimeout(r, 100));
           break;
 
         case 'select':
-          result = await sendToExtension('select_option', { selector: action.selector, value: action.value });
+          result = await sendToExtension('select_option', { ...target, value: action.value, timeout });
           await new Promise(r => setTimeout(r, 100));
           break;
 
         case 'keypress':
-          result = await sendToExtension('press_key', { key: action.key, selector: action.selector });
+          result = await sendToExtension('press_key', { ...target, key: action.key, timeout });
+          await new Promise(r => setTimeout(r, 100));
+          break;
+
+        case 'hover':
+          result = await sendToExtension('hover', { ...target, timeout });
+          await new Promise(r => setTimeout(r, 300));
+          break;
+
+        case 'drag':
+          result = await sendToExtension('drag', {
+            sourceSelector: target.selector,
+            targetSelector: dropTarget.selector,
+            frame: action.frame,
+            timeout
+          });
+          await new Promise(r => setTimeout(r, 300));
+          break;
+
+        case 'scroll':
+          result = await sendToExtension('scroll', {
+            ...(action.selector ? target : { frame: action.frame }),
+            direction: action.direction,
+            amount: action.amount,
+            timeout
+          });
           await new Promise(r => setTimeout(r, 100));
           break;
 
+        case 'new_tab':
+          result = await connectToNewTab(tabsBefore || new Set(), timeout);
+          tabsBefore = null;
+          break;
+
+        case 'switch_tab':
+          result = await connectToTabWithUrl(action.url, timeout);
+          break;
+
         case 'upload':
           // Try to find file - check if filePath is specified or look in common locations
           if (action.filePath && existsSync(action.filePath)) {
             const fileContent = readFileSync(action.filePath);
             const base64Content = fileContent.toString('base64');
             result = await sendToExtension('upload_file', {
-              selector: action.selector,
+              ...target,
               fileName: action.fileName,
               fileContent: base64Content,
-              mimeType: action.mimeType
+              mimeType: action.mimeType,
+              timeout
             });
           } else {
             result = {
@@ -1136,10 +2389,31 @@ async function replayRecordingFromDisk(name) {
           result = { skipped: true, reason: `Unknown action type: ${action.type}` };
       }
 
+      // A healed selector is only worth keeping once its step went through with it
+      const succeeded = result?.success !== false && !result?.skipped;
+      if (succeeded) {
+        for (const [field, found] of [['selector', located], ['targetSelector', dropTarget]]) {
+          if (found?.healed) {
+            healed.push({
+              index,
+              action: action.type,
+              field,
+              from: action[field],
+              to: found.selector,
+              strategy: found.strategy,
+              ...(found.candidates && { candidates: found.candidates })
+            });
+          }
+        }
+      }
+
       results.push({
         action: action.type,
         selector: action.selector,
-        success: true,
+        ...(located && { strategy: located.strategy }),
+        ...(located?.healed && { healedSelector: located.selector }),
+        success: succeeded,
+        ...(!succeeded && { error: result?.error || result?.reason }),
         result
       });
     } catch (err) {
@@ -1152,12 +2426,44 @@ async function replayRecordingFromDisk(name) {
     }
   }
 
-  return {
-    success: true,
+  const failed = results.filter(step => !step.success).length;
+  const replay = {
+    success: failed === 0,
     recording: name,
     actionsExecuted: results.length,
+    failed,
     results
   };
+  if (healed.length) {
+    replay.healed = healed;
+    replay.message = `${healed.length} selector(s) no longer matched and were healed. Pass healed to browser_apply_healed_selectors to save the working selectors into the recording.`;
+  }
+  return replay;
+}
+
+// Wait for a tab that wasn't open before (one the page just opened) and connect to it
+async function connectToNewTab(tabsBefore, timeout = DEFAULT_TIMEOUT) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const tabs = await sendToExtension('list_tabs', { timeout });
+    const tab = tabs.find(candidate => !tabsBefore.has(candidate.id));
+    if (tab) {
+      return sendToExtension('connect_tab', { tabId: tab.id, timeout });
+    }
+    await new Promise(r => setTimeout(r, 250));
+  }
+  throw new Error(`No new tab opened within ${timeout}ms`);
+}
+
+// Connect to the open tab showing a URL (ignoring the #fragment)
+async function connectToTabWithUrl(url, timeout) {
+  const withoutHash = (value) => (value || '').split('#')[0];
+  const tabs = await sendToExtension('list_tabs', { timeout });
+  const tab = tabs.find(candidate => withoutHash(candidate.url) === withoutHash(url));
+  if (!tab) {
+    throw new Error(`No open tab at ${url}`);
+  }
+  return sendToExtension('connect_tab', { tabId: tab.id, timeout });
 }
 
 // Setup WebSocket connection handler
@@ -1181,6 +2487,12 @@ function setupWebSocketHandlers(wsServer) {
           return;
         }
 
+        // Recording changes made in the popup, sent on connect and whenever they happen
+        if (message.type === 'recordings_sync') {
+          sendRecordingsToExtension(applyRecordingOps(message.ops || []));
+          return;
+        }
+
         // Handle response to our request
         if (message.id !== undefined && pendingRequests.has(message.id)) {
           const { resolve, reject } = pendingRequests.get(message.id);
@@ -0,0 +1,219 @@
+/**
+ * Recording Storage
+ * Saved recordings as JSON files in ~/.bronco-browser-recordings. The MCP server and the CLI
+ * both read and write them through here.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, unlinkSync } from 'fs';
+import { resolve, join } from 'path';
+import { randomUUID } from 'crypto';
+
+// Directory for storing recordings
+export const RECORDINGS_DIR = resolve(process.env.HOME, '.bronco-browser-recordings');
+
+// Ensure recordings directory exists
+function ensureRecordingsDir() {
+  if (!existsSync(RECORDINGS_DIR)) {
+    mkdirSync(RECORDINGS_DIR, { recursive: true });
+  }
+}
+
+// Convert name to safe filename
+function toFilename(name) {
+  return name.replace(/[^a-zA-Z0-9-_]/g, '_') + '.json';
+}
+
+// Read every recording file. Files written before recordings had ids get one.
+function readRecordingFiles() {
+  ensureRecordingsDir();
+  const files = readdirSync(RECORDINGS_DIR).filter(f => f.endsWith('.json'));
+  const entries = [];
+
+  for (const file of files) {
+    const filepath = join(RECORDINGS_DIR, file);
+    try {
+      const recording = JSON.parse(readFileSync(filepath, 'utf-8'));
+      if (!recording.id) {
+        recording.id = randomUUID();
+        writeFileSync(filepath, JSON.stringify(recording, null, 2));
+      }
+      entries.push({ file: filepath, recording });
+    } catch (err) {
+      console.error(`[Bronco] Error reading recording ${file}:`, err.message);
+    }
+  }
+
+  return entries;
+}
+
+// Summary of a recording without its actions
+function summarizeRecording(recording, file) {
+  return {
+    id: recording.id,
+    name: recording.name,
+    actionCount: recording.actions?.length || 0,
+    createdAt: recording.createdAt,
+    updatedAt: recording.updatedAt || recording.createdAt,
+    url: recording.url,
+    file
+  };
+}
+
+// List all recordings from disk
+export function listRecordingsFromDisk() {
+  const recordings = {};
+  for (const { file, recording } of readRecordingFiles()) {
+    recordings[recording.name] = summarizeRecording(recording, file);
+  }
+  return recordings;
+}
+
+// Find the recording file a name maps to: { file, recording } or null
+export function findRecordingFile(name) {
+  ensureRecordingsDir();
+  const filepath = join(RECORDINGS_DIR, toFilename(name));
+  if (!existsSync(filepath)) return null;
+  return { file: filepath, recording: JSON.parse(readFileSync(filepath, 'utf-8')) };
+}
+
+// Find a recording by the id it keeps across renames: { file, recording } or null
+export function findRecordingById(id) {
+  return readRecordingFiles().find(entry => entry.recording.id === id) || null;
+}
+
+// First free name among "name", "name (2)", "name (3)"... A name held by the recording with this id counts as free.
+function uniqueRecordingName(name, id) {
+  for (let n = 1; ; n++) {
+    const candidate = n === 1 ? name : `${name} (${n})`;
+    const existing = findRecordingFile(candidate);
+    if (!existing || (id && existing.recording.id === id)) {
+      return candidate;
+    }
+  }
+}
+
+// Get a single recording from disk
+export function getRecordingFromDisk(name) {
+  const existing = findRecordingFile(name);
+  if (!existing) {
+    throw new Error(`Recording "${name}" not found`);
+  }
+  return existing.recording;
+}
+
+// Save a recording to disk. Fails if the name is taken unless overwrite is set.
+export function saveRecordingToDisk(name, recording, { overwrite = false } = {}) {
+  const existing = findRecordingFile(name);
+  if (existing && !overwrite) {
+    throw new Error(`Recording "${existing.recording.name}" already exists`);
+  }
+  const filepath = join(RECORDINGS_DIR, toFilename(name));
+  const now = Date.now();
+
+  const data = {
+    id: recording.id || existing?.recording.id || randomUUID(),
+    name,
+    actions: recording.actions || recording,
+    createdAt: recording.createdAt || now,
+    updatedAt: now,
+    url: recording.url || (recording.actions?.[0]?.url) || ''
+  };
+
+  writeFileSync(filepath, JSON.stringify(data, null, 2));
+
+  return {
+    success: true,
+    name,
+    file: filepath,
+    actionCount: data.actions.length
+  };
+}
+
+// Move a recording to a new name, keeping its id
+function moveRecording(entry, newName) {
+  const filepath = join(RECORDINGS_DIR, toFilename(newName));
+  const data = { ...entry.recording, name: newName, updatedAt: Date.now() };
+  writeFileSync(filepath, JSON.stringify(data, null, 2));
+  if (filepath !== entry.file) {
+    unlinkSync(entry.file);
+  }
+  return filepath;
+}
+
+// Rename a recording on disk. Fails if the new name is taken by another recording.
+export function renameRecordingOnDisk(name, newName) {
+  const entry = findRecordingFile(name);
+  if (!entry) {
+    throw new Error(`Recording "${name}" not found`);
+  }
+  const existing = findRecordingFile(newName);
+  if (existing && existing.recording.id !== entry.recording.id) {
+    throw new Error(`Recording "${existing.recording.name}" already exists`);
+  }
+  const file = moveRecording(entry, newName);
+  return { success: true, name: newName, previousName: entry.recording.name, file };
+}
+
+// Delete a recording from disk
+export function deleteRecordingFromDisk(name) {
+  const entry = findRecordingFile(name);
+  if (!entry) {
+    throw new Error(`Recording "${name}" not found`);
+  }
+
+  unlinkSync(entry.file);
+  return { success: true, deleted: entry.recording.name };
+}
+
+// Apply changes the extension queued (possibly while the server was down), oldest first.
+// Ops are { opId, op: 'save' | 'rename' | 'delete', id, ... } and replaying one is harmless,
+// since the reply that acknowledged it may have been lost. Name conflicts are settled by
+// picking the next free "name (n)" rather than failing, as nobody is there to ask.
+export function applyRecordingOps(ops) {
+  const results = [];
+
+  for (const op of ops) {
+    try {
+      switch (op.op) {
+        case 'save': {
+          const saved = findRecordingById(op.id);
+          if (saved) {
+            results.push({ opId: op.opId, success: true, name: saved.recording.name });
+            break;
+          }
+          const name = uniqueRecordingName(op.name);
+          saveRecordingToDisk(name, { id: op.id, actions: op.actions, url: op.url, createdAt: op.createdAt });
+          results.push({ opId: op.opId, success: true, name, ...(name !== op.name && { requestedName: op.name }) });
+          break;
+        }
+
+        case 'rename': {
+          const entry = findRecordingById(op.id);
+          if (!entry) {
+            throw new Error(`Recording was deleted before it could be renamed to "${op.name}"`);
+          }
+          const name = uniqueRecordingName(op.name, op.id);
+          moveRecording(entry, name);
+          results.push({ opId: op.opId, success: true, name, ...(name !== op.name && { requestedName: op.name }) });
+          break;
+        }
+
+        case 'delete': {
+          const entry = findRecordingById(op.id);
+          if (entry) {
+            unlinkSync(entry.file);
+          }
+          results.push({ opId: op.opId, success: true });
+          break;
+        }
+
+        default:
+          throw new Error(`Unknown recording operation: ${op.op}`);
+      }
+    } catch (err) {
+      results.push({ opId: op.opId, success: false, error: err.message });
+    }
+  }
+
+  return results;
+}